@@ -1,6 +1,5 @@
 # frozen_string_literal: true
 
-require 'benchmark'
 require 'benchmark/ips'
 require_relative 'serializers'
 require_relative 'models/benchmark_result'
@@ -96,19 +95,27 @@ module Serialbench
         # Warmup
         3.times { block.call(serializer, data) }
 
-        # Benchmark
-        time = Benchmark.realtime do
-          iterations.times { block.call(serializer, data) }
+        # Benchmark: time every iteration, so the mean and the spread come
+        # from the same samples
+        samples = Array.new(iterations) do
+          started = Process.clock_gettime(Process::CLOCK_MONOTONIC)
+          block.call(serializer, data)
+          Process.clock_gettime(Process::CLOCK_MONOTONIC) - started
         end
+        time = samples.sum
+        mean = time / iterations.to_f
 
         result = Models::IterationPerformance.new(
           adapter: serializer.name,
           format: format,
           data_size: size,
           time_per_iterations: time,
-          time_per_iteration: time / iterations.to_f,
+          time_per_iteration: mean,
           iterations_per_second: iterations.to_f / time,
-          iterations_count: iterations
+          iterations_count: iterations,
+          time_per_iteration_min: samples.min,
+          time_per_iteration_max: samples.max,
+          time_per_iteration_stddev: standard_deviation(samples)
         )
 
         puts "    #{result.format}/#{result.adapter}: #{(result.time_per_iteration * 1000).round(2)}ms per #{operation_name}"
@@ -160,6 +167,15 @@ module Serialbench
       @benchmark_config.iterations.send(size.to_s)
     end
 
+    # Sample standard deviation; zero when there is a single sample
+    def standard_deviation(samples)
+      return 0.0 if samples.size < 2
+
+      mean = samples.sum / samples.size.to_f
+      variance = samples.sum { |sample| (sample - mean)**2 } / (samples.size - 1)
+      Math.sqrt(variance)
+    end
+
     def load_test_data
       # Determine which data sizes to load based on configuration
       data_sizes = @benchmark_config.data_sizes
@@ -167,11 +167,24 @@ module Serialbench
         RUN_PATH should be the path to a run directory in results/runs/
         OUTPUT_DIR defaults to _site/
 
+        With --single-file only an index.html is written, with everything it
+        needs inlined, so it can be archived and opened offline.
+
+        With --chunked the page only embeds an index of the results and loads
+        each format's results from data/chunks/ when it is first shown, which
+        keeps large reports fast. Browsers do not load those files for a page
+        opened from disk, so serve a chunked site over HTTP.
+
         Examples:
           serialbench benchmark build-site results/runs/my-run-local-macos-arm64-ruby-3.3.8
           serialbench benchmark build-site results/runs/performance-test-docker-alpine-arm64-ruby-3.3
+          serialbench benchmark build-site results/runs/my-run-local-macos-arm64-ruby-3.3.8 --single-file
+          serialbench benchmark build-site results/runs/my-run-local-macos-arm64-ruby-3.3.8 --chunked
       DESC
       option :output_dir, type: :string, default: '_site', desc: 'Output directory for generated site'
+      option :single_file, type: :boolean, default: false, desc: 'Write one self-contained HTML file for offline use'
+      option :chunked, type: :boolean, default: false,
+                       desc: "Load each format's results on demand (the site must be served over HTTP)"
       def build_site(result_path)
         unless Dir.exist?(result_path)
           say "Result directory not found: #{result_path}", :red
@@ -190,7 +203,9 @@ module Serialbench
         say "🏗️  Generating HTML site for result: #{result_path}", :green
 
         # Use the unified site generator for results
-        Serialbench::SiteGenerator.generate_for_result(result, options[:output_dir])
+        Serialbench::SiteGenerator.generate_for_result(
+          result, options[:output_dir], single_file: options[:single_file], chunked: options[:chunked]
+        )
 
         say '✅ HTML site generated successfully!', :green
         say "Site location: #{options[:output_dir]}", :cyan
@@ -179,10 +179,28 @@ module Serialbench
         RESULTSET_PATH must be specified explicitly
         OUTPUT_DIR defaults to _site/
 
+        Runs from the resultsets given with --history are added to the trend
+        view, so weekly resultsets can be compared over time.
+
+        With --single-file only an index.html is written, with everything it
+        needs inlined, so it can be archived and opened offline.
+
+        With --chunked the page only embeds an index of the results and loads
+        each format's results from data/chunks/ when it is first shown, which
+        keeps large reports fast. Browsers do not load those files for a page
+        opened from disk, so serve a chunked site over HTTP.
+
         Examples:
           serialbench resultset build-site results/sets/performance-comparison
           serialbench resultset build-site results/sets/cross-platform-test output/
+          serialbench resultset build-site results/sets/weekly --history results/sets/weekly-2025-*
+          serialbench resultset build-site results/sets/weekly --single-file
+          serialbench resultset build-site results/sets/weekly --chunked
       DESC
+      option :history, type: :array, default: [], desc: 'Earlier resultsets to include in the trend view'
+      option :single_file, type: :boolean, default: false, desc: 'Write one self-contained HTML file for offline use'
+      option :chunked, type: :boolean, default: false,
+                       desc: "Load each format's results on demand (the site must be served over HTTP)"
       def build_site(resultset_path, output_dir = '_site')
         unless Dir.exist?(resultset_path)
           say "ResultSet directory not found: #{resultset_path}", :red
@@ -201,8 +219,20 @@ module Serialbench
         say "🏗️  Generating HTML site for resultset: #{resultset_path}", :green
         say "Runs in set: #{resultset.results.size}", :cyan
 
+        history = options[:history].map do |history_path|
+          unless Dir.exist?(history_path)
+            say "History resultset directory not found: #{history_path}", :red
+            exit 1
+          end
+
+          Serialbench::Models::ResultSet.load(history_path)
+        end
+        say "History resultsets: #{history.size}", :cyan unless history.empty?
+
         # Use the unified site generator for resultsets
-        Serialbench::SiteGenerator.generate_for_resultset(resultset, output_dir)
+        Serialbench::SiteGenerator.generate_for_resultset(
+          resultset, output_dir, history: history, single_file: options[:single_file], chunked: options[:chunked]
+        )
 
         say '✅ HTML site generated successfully!', :green
         say "Site location: #{output_dir}", :cyan
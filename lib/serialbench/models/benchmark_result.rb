@@ -33,6 +33,9 @@ module Serialbench
       attribute :time_per_iteration, :float
       attribute :iterations_per_second, :float
       attribute :iterations_count, :integer
+      attribute :time_per_iteration_min, :float
+      attribute :time_per_iteration_max, :float
+      attribute :time_per_iteration_stddev, :float
 
       key_value do
         map 'adapter', to: :adapter
@@ -42,6 +45,9 @@ module Serialbench
         map 'time_per_iteration', to: :time_per_iteration
         map 'iterations_per_second', to: :iterations_per_second
         map 'iterations_count', to: :iterations_count
+        map 'time_per_iteration_min', to: :time_per_iteration_min
+        map 'time_per_iteration_max', to: :time_per_iteration_max
+        map 'time_per_iteration_stddev', to: :time_per_iteration_stddev
       end
     end
 
@@ -79,6 +79,23 @@ module Serialbench
       @information
     end
 
+    # Display metadata for every registered serializer, keyed by name.
+    # Includes serializers whose gems are not installed, since sites are
+    # often built on a different machine than the benchmarks ran on.
+    def self.metadata
+      all.to_h do |serializer|
+        [
+          serializer.name,
+          {
+            'display_name' => serializer.display_name,
+            'format' => serializer.format.to_s,
+            'homepage' => serializer.homepage,
+            'color' => serializer.color_hint
+          }.compact
+        ]
+      end
+    end
+
     def self.available_for_format(format)
       for_format(format).select(&:available?)
     end
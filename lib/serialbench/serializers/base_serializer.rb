@@ -38,6 +38,21 @@ module Serialbench
         false
       end
 
+      # Presentation details for the HTML dashboard; override in subclasses
+      def display_name
+        name
+      end
+
+      def homepage
+        nil
+      end
+
+      # Preferred chart colour as a hex string, or nil to let the dashboard
+      # pick a distinct one
+      def color_hint
+        nil
+      end
+
       def require_library(library_name)
         require library_name
         true
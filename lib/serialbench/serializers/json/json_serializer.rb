@@ -14,6 +14,18 @@ module Serialbench
           'json'
         end
 
+        def display_name
+          'JSON'
+        end
+
+        def homepage
+          'https://github.com/flori/json'
+        end
+
+        def color_hint
+          '#3B82F6'
+        end
+
         def version
           require 'json'
           JSON::VERSION
@@ -14,6 +14,18 @@ module Serialbench
           'oj'
         end
 
+        def display_name
+          'Oj'
+        end
+
+        def homepage
+          'https://github.com/ohler55/oj'
+        end
+
+        def color_hint
+          '#9333EA'
+        end
+
         def version
           require 'oj'
           Oj::VERSION
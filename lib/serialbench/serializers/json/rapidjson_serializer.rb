@@ -15,6 +15,18 @@ module Serialbench
           'rapidjson'
         end
 
+        def display_name
+          'RapidJSON'
+        end
+
+        def homepage
+          'https://github.com/byroot/rapidjson'
+        end
+
+        def color_hint
+          '#EC4899'
+        end
+
         def version
           require 'rapidjson'
           RapidJSON::VERSION
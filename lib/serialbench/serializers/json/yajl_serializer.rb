@@ -10,6 +10,18 @@ module Serialbench
           'yajl'
         end
 
+        def display_name
+          'YAJL'
+        end
+
+        def homepage
+          'https://github.com/brianmario/yajl-ruby'
+        end
+
+        def color_hint
+          '#0EA5E9'
+        end
+
         def parse(json_string)
           require 'yajl'
           Yajl::Parser.parse(json_string)
@@ -14,6 +14,18 @@ module Serialbench
           'toml-rb'
         end
 
+        def display_name
+          'TOML-RB'
+        end
+
+        def homepage
+          'https://github.com/emancu/toml-rb'
+        end
+
+        def color_hint
+          '#A855F7'
+        end
+
         def version
           require 'toml-rb'
           # toml-rb doesn't expose a VERSION constant, so we'll use gem version
@@ -10,6 +10,18 @@ module Serialbench
           'tomlib'
         end
 
+        def display_name
+          'Tomlib'
+        end
+
+        def homepage
+          'https://github.com/fbernier/tomlib'
+        end
+
+        def color_hint
+          '#06B6D4'
+        end
+
         def parse(toml_string)
           require 'tomlib'
           Tomlib.load(toml_string)
@@ -14,6 +14,14 @@ module Serialbench
           'tomlrb'
         end
 
+        def display_name
+          'tomlrb'
+        end
+
+        def homepage
+          'https://github.com/fbernier/tomlrb'
+        end
+
         def version
           require 'tomlrb'
           # tomlrb doesn't expose a VERSION constant, so we'll use gem version
@@ -10,6 +10,14 @@ module Serialbench
           'libxml'
         end
 
+        def display_name
+          'LibXML'
+        end
+
+        def homepage
+          'https://github.com/xml4r/libxml-ruby'
+        end
+
         def parse(xml_string)
           require 'libxml'
           LibXML::XML::Parser.string(xml_string).parse
@@ -10,6 +10,18 @@ module Serialbench
           'nokogiri'
         end
 
+        def display_name
+          'Nokogiri'
+        end
+
+        def homepage
+          'https://github.com/sparklemotion/nokogiri'
+        end
+
+        def color_hint
+          '#22C55E'
+        end
+
         def parse(xml_string)
           require 'nokogiri'
           Nokogiri::XML(xml_string)
@@ -10,6 +10,14 @@ module Serialbench
           'oga'
         end
 
+        def display_name
+          'Oga'
+        end
+
+        def homepage
+          'https://github.com/YorickPeterse/oga'
+        end
+
         def parse(xml_string)
           require 'oga'
           Oga.parse_xml(xml_string)
@@ -10,6 +10,18 @@ module Serialbench
           'ox'
         end
 
+        def display_name
+          'Ox'
+        end
+
+        def homepage
+          'https://github.com/ohler55/ox'
+        end
+
+        def color_hint
+          '#F97316'
+        end
+
         def parse(xml_string)
           require 'ox'
           Ox.parse(xml_string)
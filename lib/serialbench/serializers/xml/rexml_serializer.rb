@@ -14,6 +14,18 @@ module Serialbench
           'rexml'
         end
 
+        def display_name
+          'REXML'
+        end
+
+        def homepage
+          'https://github.com/ruby/rexml'
+        end
+
+        def color_hint
+          '#EF4444'
+        end
+
         def version
           require 'rexml/rexml'
           REXML::VERSION
@@ -15,6 +15,18 @@ module Serialbench
           'psych'
         end
 
+        def display_name
+          'Psych'
+        end
+
+        def homepage
+          'https://github.com/ruby/psych'
+        end
+
+        def color_hint
+          '#10B981'
+        end
+
         def version
           require 'psych'
           Psych::VERSION
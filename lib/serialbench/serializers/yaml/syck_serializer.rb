@@ -10,6 +10,18 @@ module Serialbench
           'syck'
         end
 
+        def display_name
+          'Syck'
+        end
+
+        def homepage
+          'https://github.com/ruby/syck'
+        end
+
+        def color_hint
+          '#F59E0B'
+        end
+
         def version
           require 'syck'
           # Try to get version from gem specification
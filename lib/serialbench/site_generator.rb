@@ -5,28 +5,39 @@ require 'erb'
 require 'json'
 require 'liquid'
 require 'yaml'
+require_relative 'serializers'
 
 module Serialbench
   # Unified site generator for creating static HTML sites from benchmark results
   class SiteGenerator
     TEMPLATE_DIR = File.join(__dir__, 'templates')
+    CHUNK_DIR = 'data/chunks'
 
-    attr_reader :output_path, :result, :resultset
+    attr_reader :output_path, :result, :resultset, :history, :single_file, :chunked
 
-    def initialize(output_path:, result: nil, resultset: nil)
+    # single_file: write only an index.html with Chart.js, the stylesheets,
+    # the scripts and the data inlined, for viewing without network access
+    # chunked: embed only an index and write each format's results to a
+    # separate file fetched on demand; the site then has to be served over HTTP
+    def initialize(output_path:, result: nil, resultset: nil, history: [], single_file: false, chunked: false)
       @output_path = File.expand_path(output_path)
       @result = result if result
       @resultset = resultset if resultset
+      @history = history
+      @single_file = single_file
+      @chunked = chunked && !single_file
       setup_liquid_environment
     end
 
-    def self.generate_for_result(result, output_path)
-      generator = new(output_path: output_path, result: result)
+    def self.generate_for_result(result, output_path, single_file: false, chunked: false)
+      generator = new(output_path: output_path, result: result, single_file: single_file, chunked: chunked)
       generator.generate_site
     end
 
-    def self.generate_for_resultset(resultset, output_path)
-      generator = new(output_path: output_path, resultset: resultset)
+    # history: earlier ResultSets whose runs are added to the trend view
+    def self.generate_for_resultset(resultset, output_path, history: [], single_file: false, chunked: false)
+      generator = new(output_path: output_path, resultset: resultset, history: history,
+                      single_file: single_file, chunked: chunked)
       generator.generate_site
     end
 
@@ -40,20 +51,30 @@ module Serialbench
       data = if @result
                transform_result_for_dashboard(@result)
              else
-               transform_resultset_for_dashboard(@resultset)
+               transform_resultset_for_dashboard(@resultset, @history)
              end
 
+      # A chunked report only embeds an index and fetches each format's
+      # results on demand, which browsers refuse for pages opened from disk
+      chunks = {}
+      if @chunked
+        chunks = format_chunks(data)
+        data = chunked_index(data, chunks)
+      end
+
+      template_data = {
+        'data' => script_json(data),
+        'kind' => @result ? 'run' : 'resultset'
+      }
+      template_data['inline_assets'] = inline_assets if @single_file
+
       prepare_output_directory
-      render_site(
-        {
-          'data' => JSON.generate(data),
-          'kind' => @result ? 'run' : 'resultset'
-        },
-        'format_based.liquid'
-      )
+      render_site(template_data, 'format_based.liquid')
+      render_embed(data) unless @single_file
+      write_chunks(chunks)
 
-      # Export raw data files for download
-      export_raw_data
+      # Export raw data files for download; a single-file report links to none
+      export_raw_data unless @single_file
 
       puts "✅ Site generated successfully at: #{@output_path}"
       @output_path
@@ -88,7 +109,17 @@ module Serialbench
       write_file(html, 'index.html')
 
       # Copy assets
-      copy_assets
+      copy_assets unless @single_file
+    end
+
+    # embed.html draws one chart, picked by its query string, for <iframe>
+    # embeds. It only needs the environments, serializers and results, or in
+    # a chunked report the chunk locations to load results from.
+    def render_embed(data)
+      embed_data = data.slice('environments', 'serializers', 'formats', 'data_sizes', 'combined_results')
+      html = load_template('embed.liquid').render('data' => script_json(embed_data))
+
+      write_file(html, 'embed.html')
     end
 
     def load_template(template_name)
@@ -98,8 +129,9 @@ module Serialbench
     end
 
     def write_file(content, filename)
-      FileUtils.mkdir_p(@output_path)
-      File.write(File.join(@output_path, filename), content)
+      path = File.join(@output_path, filename)
+      FileUtils.mkdir_p(File.dirname(path))
+      File.write(path, content)
     end
 
     def copy_assets
@@ -111,6 +143,33 @@ module Serialbench
       FileUtils.cp_r(assets_source, assets_dest)
     end
 
+    # Contents for the single-file report. Chart.js is vendored, as the CDN
+    # copy is not reachable from machines that open archived reports.
+    def inline_assets
+      assets_dir = File.join(TEMPLATE_DIR, 'assets')
+
+      scripts = {
+        'chart_js' => File.join(TEMPLATE_DIR, 'vendor', 'chart.umd.js'),
+        'chart_helpers_js' => File.join(assets_dir, 'js', 'chart_helpers.js'),
+        'navigation_js' => File.join(assets_dir, 'js', 'navigation.js'),
+        'dashboard_js' => File.join(assets_dir, 'js', 'dashboard.js')
+      }
+      styles = %w[benchmark_report themes format_based].to_h do |name|
+        ["#{name}_css", File.join(assets_dir, 'css', "#{name}.css")]
+      end
+
+      # A literal "</script" would end the inline script element early
+      scripts.transform_values { |path| File.read(path).gsub('</script', '<\/script') }
+             .merge(styles.transform_values { |path| File.read(path) })
+    end
+
+    # JSON for an inline <script>: run tags and other strings are free-form,
+    # and a "</script" in one would end the element early. "<\/" is the same
+    # string to JSON.
+    def script_json(data)
+      JSON.generate(data).gsub('</', '<\/')
+    end
+
     # Transform a single Result into dashboard-compatible format
     # Dashboard expects: { combined_results: {...}, environments: {...}, metadata: {...} }
     def transform_result_for_dashboard(result)
@@ -121,19 +180,13 @@ module Serialbench
 
       # Build environments structure
       environments = {
-        env_key => {
-          'ruby_version' => result.platform.ruby_version,
-          'ruby_platform' => result.platform.ruby_platform || "#{result.platform.os}-#{result.platform.arch}",
-          'os' => result.platform.os,
-          'arch' => result.platform.arch,
-          'source_file' => result.metadata.environment_config_path,
-          'timestamp' => result.metadata.created_at
-        }
+        env_key => environment_info(result)
       }
 
       {
         'combined_results' => combined_results,
         'environments' => environments,
+        'serializers' => Serializers.metadata,
         'metadata' => {
           'generated_at' => Time.now.iso8601
         }
@@ -141,33 +194,29 @@ module Serialbench
     end
 
     # Transform a ResultSet (collection of Results) into dashboard-compatible format
-    # Combines all results into a single dashboard structure
-    def transform_resultset_for_dashboard(resultset)
+    # Combines all results into a single dashboard structure. When several runs
+    # share an environment, the most recent one is shown in the snapshot while
+    # every run (including those from history resultsets) feeds the trend view.
+    def transform_resultset_for_dashboard(resultset, history = [])
       combined_results = {}
       environments = {}
 
-      resultset.results.each do |result|
+      sort_by_created_at(resultset.results).each do |result|
         # Create unique env key for this result
-        env_key = "#{result.platform.os}-#{result.platform.arch}-ruby-#{result.platform.ruby_version}"
+        env_key = environment_key(result)
 
         # Merge this result's data into combined_results
         result_combined = build_combined_results(result, env_key)
         merge_combined_results!(combined_results, result_combined)
 
         # Add environment info
-        environments[env_key] = {
-          'ruby_version' => result.platform.ruby_version,
-          'ruby_platform' => result.platform.ruby_platform || "#{result.platform.os}-#{result.platform.arch}",
-          'os' => result.platform.os,
-          'arch' => result.platform.arch,
-          'source_file' => result.metadata.environment_config_path,
-          'timestamp' => result.metadata.created_at
-        }
+        environments[env_key] = environment_info(result)
       end
 
-      {
+      data = {
         'combined_results' => combined_results,
         'environments' => environments,
+        'serializers' => Serializers.metadata,
         'metadata' => {
           'resultset_name' => resultset.name,
           'resultset_description' => resultset.description,
@@ -175,6 +224,111 @@ module Serialbench
           'generated_at' => Time.now.iso8601
         }
       }
+
+      runs = build_history([resultset, *history], combined_results)
+      data['history'] = runs if runs
+      data
+    end
+
+    # One entry per run, oldest first, for the dashboard trend view, or nil
+    # when all runs are from one day and there is no trend to draw. Runs
+    # present in more than one resultset are only listed once. A run whose
+    # results are exactly what the snapshot shows for its environment is
+    # marked 'snapshot' instead of carrying a second copy of them.
+    def build_history(resultsets, combined_results)
+      runs = resultsets.flat_map(&:results).uniq do |result|
+        [environment_key(result), result.metadata.created_at]
+      end
+      return nil if runs.map { |result| run_date(result) }.uniq.size < 2
+
+      snapshot = Hash.new { |cache, env_key| cache[env_key] = environment_measurements(combined_results, env_key) }
+
+      sort_by_created_at(runs).map do |result|
+        env_key = environment_key(result)
+        results = build_combined_results(result, env_key)
+
+        run = {
+          'environment' => env_key,
+          'created_at' => result.metadata.created_at,
+          'serializer_versions' => serializer_versions(result)
+        }
+        if environment_measurements(results, env_key) == snapshot[env_key]
+          run['snapshot'] = true
+        else
+          run['results'] = results
+        end
+        run
+      end
+    end
+
+    # The UTC day of a run, as the dashboard buckets runs on the trend axis
+    def run_date(result)
+      Time.iso8601(result.metadata.created_at.to_s).utc.strftime('%F')
+    rescue ArgumentError
+      result.metadata.created_at.to_s
+    end
+
+    # [operation, size, format, serializer] => figures, for one environment
+    def environment_measurements(combined_results, env_key)
+      combined_results.flat_map do |operation, sizes|
+        sizes.flat_map do |size, formats|
+          formats.flat_map do |format, serializers|
+            serializers.filter_map do |serializer, envs|
+              [[operation, size, format, serializer], envs[env_key]] if envs.key?(env_key)
+            end
+          end
+        end
+      end.to_h
+    end
+
+    def sort_by_created_at(results)
+      results.sort_by { |result| result.metadata.created_at.to_s }
+    end
+
+    # The kind and engine are part of the key: a Docker run on a Mac is not
+    # the same environment as a local run there, and JRuby reports the Ruby
+    # version it is compatible with, which CRuby results share
+    def environment_key(result)
+      platform = result.platform
+      "#{platform.kind}-#{platform.os}-#{platform.arch}-#{ruby_engine(result)}-#{platform.ruby_version}"
+    end
+
+    # Results do not record RUBY_ENGINE, but the ruby-build tag names the
+    # engine (jruby-9.4.8.0, truffleruby-24.1.1) and JRuby reports a "java"
+    # RUBY_PLATFORM
+    def ruby_engine(result)
+      platform = result.platform
+      identifiers = [platform.ruby_build_tag, platform.platform_string].compact.join(' ')
+
+      if identifiers.match?(/truffleruby/i)
+        'truffleruby'
+      elsif identifiers.match?(/jruby/i) || platform.ruby_platform.to_s.match?(/java/i)
+        'jruby'
+      else
+        'ruby'
+      end
+    end
+
+    def environment_info(result)
+      {
+        'ruby_version' => result.platform.ruby_version,
+        'ruby_engine' => ruby_engine(result),
+        'ruby_platform' => result.platform.ruby_platform || "#{result.platform.os}-#{result.platform.arch}",
+        'os' => result.platform.os,
+        'arch' => result.platform.arch,
+        'kind' => result.platform.kind,
+        'ruby_build_tag' => result.platform.ruby_build_tag,
+        'tags' => result.metadata.tags || [],
+        'source_file' => result.metadata.environment_config_path,
+        'timestamp' => result.metadata.created_at,
+        'serializer_versions' => serializer_versions(result)
+      }
+    end
+
+    def serializer_versions(result)
+      (result.benchmark_result.serializers || []).to_h do |serializer|
+        [serializer.name, serializer.version]
+      end
     end
 
     # Deep merge results from multiple runs
@@ -213,8 +367,12 @@ module Serialbench
           combined[operation][size][format][serializer] ||= {}
           combined[operation][size][format][serializer][env_key] = {
             'iterations_per_second' => perf.iterations_per_second,
-            'time_per_iteration' => perf.time_per_iteration
-          }
+            'time_per_iteration' => perf.time_per_iteration,
+            'iterations_count' => perf.iterations_count,
+            'time_per_iteration_min' => perf.time_per_iteration_min,
+            'time_per_iteration_max' => perf.time_per_iteration_max,
+            'time_per_iteration_stddev' => perf.time_per_iteration_stddev
+          }.compact
         end
       end
 
@@ -240,6 +398,51 @@ module Serialbench
       combined
     end
 
+    # One chunk per format holding that format's snapshot results and the
+    # matching results of every run in the history (nil for snapshot runs)
+    def format_chunks(data)
+      formats = data['combined_results'].values.flat_map { |sizes| sizes.values.flat_map(&:keys) }.uniq.sort
+
+      formats.to_h do |format|
+        [format, {
+          'format' => format,
+          'combined_results' => select_format(data['combined_results'], format),
+          'history' => (data['history'] || []).map { |run| run['results'] && select_format(run['results'], format) }
+        }]
+      end
+    end
+
+    # operation => size => format => serializer => environment, keeping one format
+    def select_format(combined_results, format)
+      combined_results.transform_values do |sizes|
+        sizes.transform_values { |formats| formats.slice(format) }
+             .reject { |_size, formats| formats.empty? }
+      end
+    end
+
+    # The inline part of a chunked report: everything the filters need before
+    # any results are loaded, and where to fetch each format's chunk
+    def chunked_index(data, chunks)
+      index = data.reject { |key, _value| key == 'combined_results' }
+      index['history'] = data['history'].map { |run| run.reject { |key, _value| key == 'results' } } if data['history']
+      index['data_sizes'] = data['combined_results'].values.flat_map(&:keys).uniq
+      index['formats'] = chunks.to_h do |format, chunk|
+        serializers = chunk['combined_results'].values.flat_map do |sizes|
+          sizes.values.flat_map { |formats| formats[format].keys }
+        end
+
+        [format, { 'chunk' => "#{CHUNK_DIR}/#{format}.json", 'serializers' => serializers.uniq.sort }]
+      end
+      index
+    end
+
+    def write_chunks(chunks)
+      chunks.each do |format, chunk|
+        write_file(JSON.generate(chunk), File.join(CHUNK_DIR, "#{format}.json"))
+      end
+      puts "   🧩 Wrote #{chunks.size} data chunks to #{CHUNK_DIR}" unless chunks.empty?
+    end
+
     # Export raw data files for download
     def export_raw_data
       data_dir = File.join(@output_path, 'data')
@@ -258,7 +461,7 @@ module Serialbench
 
     def export_single_result(result, data_dir)
       # Create filename based on platform info
-      env_key = "#{result.platform.os}-#{result.platform.arch}-ruby-#{result.platform.ruby_version}"
+      env_key = environment_key(result)
       filename = "#{env_key}.yaml"
       filepath = File.join(data_dir, filename)
 
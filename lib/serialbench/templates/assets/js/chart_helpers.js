@@ -1,411 +1,700 @@
-// Chart.js helper functions for Serialbench reports
-
-/**
- * Check if Chart.js is loaded
- */
-function isChartJsLoaded() {
-    return typeof Chart !== 'undefined';
-}
-
-/**
- * Create a performance chart for single benchmark results
- */
-function createSinglePerformanceChart(canvasId, title, data, metric) {
-    if (!isChartJsLoaded()) {
-        console.error('Chart.js is not loaded');
-        return;
+// Chart factory for Serialbench reports
+//
+// The serializer colour registry, theme-aware Chart.js options and metric
+// formatting shared by the dashboard and any other page that draws benchmark
+// charts. As a classic script this defines window.SerialbenchCharts;
+// chart_helpers.mjs re-exports it for ES module imports, and Node can
+// require() it directly.
+
+(function (root, factory) {
+    const api = factory();
+    root.SerialbenchCharts = api;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
     }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    'use strict';
 
-    const canvas = document.getElementById(canvasId);
-    if (!canvas) {
-        console.warn(`Canvas element with id '${canvasId}' not found`);
-        return;
-    }
+    // Colour-blind-safe palette: Okabe-Ito, extended with Paul Tol's muted scheme
+    const PALETTE = [
+        '#E69F00', '#56B4E9', '#009E73', '#F0E442', '#0072B2',
+        '#D55E00', '#CC79A7', '#44AA99', '#999933', '#882255'
+    ];
 
-    const ctx = canvas.getContext('2d');
+    const FALLBACK_COLOR = '#6B7280';
 
-    const serializers = Object.keys(data);
-    const values = serializers.map(serializer => {
-        const serializerData = data[serializer];
-        return serializerData[metric] || 0;
-    });
+    // Palette colours closer than this (RGB distance) to a colour already in
+    // use are not told apart easily; palette colours are at least 67 apart
+    const MIN_COLOR_DISTANCE = 60;
 
-    const colors = serializers.map((_, index) => `hsl(${index * 60}, 70%, 50%)`);
+    const THEMES = {
+        light: { text: '#334155', grid: '#E2E8F0', tooltipBackground: '#FFFFFF' },
+        dark: { text: '#CBD5E1', grid: '#475569', tooltipBackground: '#1E293B' }
+    };
 
-    try {
-        new Chart(ctx, {
-            type: 'bar',
-            data: {
-                labels: serializers,
-                datasets: [{
-                    label: metric === 'iterations_per_second' ? 'Operations/Second' : 'Time (ms)',
-                    data: values,
-                    backgroundColor: colors,
-                    borderColor: colors.map(color => color.replace('50%', '40%')),
-                    borderWidth: 1
-                }]
-            },
-            options: {
-                responsive: true,
-                plugins: {
-                    title: {
-                        display: true,
-                        text: title
-                    },
-                    legend: {
-                        display: false
-                    }
-                },
-                scales: {
-                    y: {
-                        beginAtZero: true,
-                        title: {
-                            display: true,
-                            text: metric === 'iterations_per_second' ? 'Operations/Second' : 'Time (ms)'
-                        }
-                    }
-                }
-            }
-        });
-        console.log(`Successfully created chart: ${canvasId}`);
-    } catch (error) {
-        console.error(`Error creating chart ${canvasId}:`, error);
+    /**
+     * Check if Chart.js is loaded
+     */
+    function isChartJsLoaded() {
+        return typeof Chart !== 'undefined';
     }
-}
-
-/**
- * Create a memory chart for single benchmark results
- */
-function createSingleMemoryChart(canvasId, title, data) {
-    if (!isChartJsLoaded()) {
-        console.error('Chart.js is not loaded');
-        return;
+
+    /**
+     * The theme the page is shown in, from the data-theme attribute
+     */
+    function getTheme() {
+        const element = typeof document !== 'undefined' && document.documentElement;
+        return element && element.getAttribute('data-theme') === 'dark' ? 'dark' : 'light';
     }
 
-    const canvas = document.getElementById(canvasId);
-    if (!canvas) {
-        console.warn(`Canvas element with id '${canvasId}' not found`);
-        return;
+    function getThemeColors(theme = getTheme()) {
+        return THEMES[theme] || THEMES.light;
     }
 
-    const ctx = canvas.getContext('2d');
+    function isHexColor(color) {
+        return /^#[0-9a-f]{6}$/i.test(color || '');
+    }
 
-    const serializers = Object.keys(data);
-    const values = serializers.map(serializer => {
-        const serializerData = data[serializer];
-        return serializerData.allocated_memory ? (serializerData.allocated_memory / 1024 / 1024) : 0;
-    });
+    function toRGB(hex) {
+        const color = isHexColor(hex) ? hex : FALLBACK_COLOR;
+        return [1, 3, 5].map(offset => parseInt(color.slice(offset, offset + 2), 16));
+    }
 
-    const colors = serializers.map((_, index) => `hsl(${index * 60}, 70%, 50%)`);
+    function colorDistance(a, b) {
+        const [r1, g1, b1] = toRGB(a);
+        const [r2, g2, b2] = toRGB(b);
+        return Math.hypot(r1 - r2, g1 - g2, b1 - b2);
+    }
 
-    try {
-        new Chart(ctx, {
-            type: 'bar',
-            data: {
-                labels: serializers,
-                datasets: [{
-                    label: 'Memory Usage (MB)',
-                    data: values,
-                    backgroundColor: colors,
-                    borderColor: colors.map(color => color.replace('50%', '40%')),
-                    borderWidth: 1
-                }]
-            },
-            options: {
-                responsive: true,
-                plugins: {
-                    title: {
-                        display: true,
-                        text: title
-                    },
-                    legend: {
-                        display: false
-                    }
-                },
-                scales: {
-                    y: {
-                        beginAtZero: true,
-                        title: {
-                            display: true,
-                            text: 'Memory Usage (MB)'
-                        }
-                    }
-                }
+    /**
+     * One colour per serializer. Serializers with a colour hint in their
+     * metadata keep it; the rest get a palette colour picked from a hash of
+     * the name, moved along the palette while that colour is taken by, or
+     * close to, a colour given out before. A serializer's colour therefore
+     * only stays the same between reports that hold the same serializers.
+     * Once no palette colour is clear of the others, the one farthest from
+     * them is reused.
+     */
+    function createColorRegistry(names, serializers = {}) {
+        const colors = new Map();
+        const used = [];
+        const unhinted = [];
+
+        Array.from(new Set(names)).sort().forEach(name => {
+            const hint = (serializers[name] || {}).color;
+            if (isHexColor(hint)) {
+                colors.set(name, hint);
+                used.push(hint);
+            } else {
+                unhinted.push(name);
             }
         });
-        console.log(`Successfully created memory chart: ${canvasId}`);
-    } catch (error) {
-        console.error(`Error creating memory chart ${canvasId}:`, error);
-    }
-}
-
-/**
- * Create a performance chart for multi-version comparison
- */
-function createPerformanceChart(canvasId, title, data, metric, environments) {
-    console.log(`🎨 createPerformanceChart called for ${canvasId}`);
-    console.log(`📊 Chart.js available:`, typeof Chart !== 'undefined');
-    console.log(`📊 Chart.js object:`, Chart);
-
-    if (!isChartJsLoaded()) {
-        console.error('❌ Chart.js is not loaded');
-        return;
-    }
 
-    const canvas = document.getElementById(canvasId);
-    if (!canvas) {
-        console.warn(`⚠️ Canvas element with id '${canvasId}' not found`);
-        return;
-    }
+        const nearestUsed = (color) => Math.min(...used.map(other => colorDistance(color, other)));
 
-    console.log(`✅ Canvas found:`, canvas);
-    const ctx = canvas.getContext('2d');
-    console.log(`✅ Context obtained:`, ctx);
+        unhinted.forEach(name => {
+            const hash = Array.from(name).reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 7);
+            const candidates = PALETTE.map((_, step) => PALETTE[(hash + step) % PALETTE.length]);
+            const color = candidates.find(candidate => nearestUsed(candidate) >= MIN_COLOR_DISTANCE) ||
+                candidates.reduce((best, candidate) => nearestUsed(candidate) > nearestUsed(best) ? candidate : best);
+
+            colors.set(name, color);
+            used.push(color);
+        });
 
-    const serializers = Object.keys(data);
-    if (serializers.length === 0) {
-        console.warn(`⚠️ No data available for chart: ${canvasId}`);
-        return;
+        return colors;
     }
 
-    console.log(`📈 Serializers:`, serializers);
-    console.log(`🌍 Environments:`, environments);
-    console.log(`📊 Raw data:`, data);
+    function toRGBA(hex, alpha = 1) {
+        const [r, g, b] = toRGB(hex);
+        return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    }
 
-    // Get theme-aware colors
-    const isDarkMode = document.documentElement.getAttribute('data-theme') === 'dark';
-    const textColor = getComputedStyle(document.documentElement).getPropertyValue('--text-primary').trim() || (isDarkMode ? '#F8FAFC' : '#0F172A');
-    const gridColor = getComputedStyle(document.documentElement).getPropertyValue('--border-primary').trim() || (isDarkMode ? '#475569' : '#E2E8F0');
+    function formatDuration(seconds) {
+        if (seconds >= 1) return `${seconds.toFixed(2)} s`;
+        if (seconds >= 1e-3) return `${(seconds * 1e3).toFixed(2)} ms`;
+        return `${(seconds * 1e6).toFixed(2)} µs`;
+    }
 
-    // High contrast color palette
-    const colors = [
-        '#F97316', '#3B82F6', '#10B981', '#EF4444', '#8B5CF6',
-        '#F59E0B', '#EC4899', '#06B6D4', '#84CC16', '#6366F1'
-    ];
+    function formatBytes(bytes) {
+        if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+        if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${bytes} B`;
+    }
 
-    const datasets = serializers.map((serializer, index) => {
-        const serializerData = data[serializer];
-        console.log(`🔍 Processing serializer ${serializer}:`, serializerData);
+    /**
+     * How each chartable metric is read from a result, labelled and
+     * formatted. range() gives the spread of a result in the metric's unit,
+     * or null for results recorded without one.
+     */
+    function getMetricDefinitions() {
+        const toMB = (bytes) => bytes ? bytes / 1024 / 1024 : 0;
+        // Time per iteration ± one standard deviation, or min–max when that
+        // is all a result has
+        const timeRange = (envData) => {
+            const { time_per_iteration: mean, time_per_iteration_stddev: stddev } = envData;
+            if (mean && typeof stddev === 'number') {
+                const low = mean - stddev > 0 ? mean - stddev : (envData.time_per_iteration_min || mean);
+                return [low, mean + stddev];
+            }
+            if (envData.time_per_iteration_min && envData.time_per_iteration_max) {
+                return [envData.time_per_iteration_min, envData.time_per_iteration_max];
+            }
+            return null;
+        };
+        // Retained memory is often a few KB, so keep significant digits below 1 MB
+        const formatMB = (value) => `${value.toLocaleString(undefined, value > 0 && value < 1
+            ? { maximumSignificantDigits: 3 }
+            : { maximumFractionDigits: 2 })} MB`;
 
-        const values = environments.map(env => {
-            const value = serializerData[env]?.iterations_per_second || 0;
-            console.log(`  📊 ${env}: ${value}`);
-            return value;
-        });
+        return {
+            iterations_per_second: {
+                label: 'ops/sec',
+                axisTitle: 'Operations per Second',
+                higherIsBetter: true,
+                value: envData => envData.iterations_per_second || 0,
+                range: envData => {
+                    const range = timeRange(envData);
+                    return range ? [1 / range[1], 1 / range[0]] : null;
+                },
+                format: value => `${value.toLocaleString(undefined, { maximumFractionDigits: 1 })} ops/sec`
+            },
+            time_per_iteration: {
+                label: 'time/iteration',
+                axisTitle: 'Time per Iteration',
+                higherIsBetter: false,
+                value: envData => envData.time_per_iteration || 0,
+                range: timeRange,
+                format: formatDuration
+            },
+            allocated_memory: {
+                label: 'allocated MB',
+                axisTitle: 'Allocated Memory (MB)',
+                higherIsBetter: false,
+                value: envData => toMB(envData.allocated_memory),
+                range: () => null,
+                format: formatMB
+            },
+            retained_memory: {
+                label: 'retained MB',
+                axisTitle: 'Retained Memory (MB)',
+                higherIsBetter: false,
+                value: envData => toMB(envData.retained_memory),
+                range: () => null,
+                format: formatMB
+            }
+        };
+    }
 
-        console.log(`📊 Values for ${serializer}:`, values);
+    /**
+     * Chart.js options in the report's look for a theme: title, legend,
+     * tooltip and axis colours, a titled value axis with formatted ticks,
+     * and a category axis. With indexAxis 'y' the bars run horizontally and
+     * x becomes the value axis. Callers add their own interaction and
+     * tooltip callbacks to the result.
+     */
+    function getChartOptions({
+        theme = getTheme(),
+        title = '',
+        valueTitle = '',
+        valueType = 'linear',
+        formatTick = null,
+        legend = true,
+        indexAxis = 'x',
+        categoryGrid = true
+    } = {}) {
+        const colors = getThemeColors(theme);
+        const valueAxis = {
+            type: valueType,
+            beginAtZero: valueType !== 'logarithmic',
+            grid: {
+                color: colors.grid,
+                drawBorder: false
+            },
+            ticks: {
+                color: colors.text,
+                ...(formatTick ? { callback: (value) => formatTick(value) } : {})
+            },
+            title: {
+                display: Boolean(valueTitle),
+                text: valueTitle,
+                color: colors.text,
+                font: {
+                    weight: 'bold'
+                }
+            }
+        };
+        const categoryAxis = {
+            grid: categoryGrid ? { color: colors.grid, drawBorder: false } : { display: false },
+            ticks: {
+                color: colors.text,
+                ...(indexAxis === 'x' ? { maxRotation: 45 } : {})
+            }
+        };
 
         return {
-            label: serializer,
-            data: values,
-            backgroundColor: colors[index % colors.length],
-            borderColor: colors[index % colors.length],
-            borderWidth: 2,
-            borderRadius: 4,
-            borderSkipped: false,
-        };
-    });
-
-    // Convert environment names to readable Ruby versions
-    const labels = environments.map(env => {
-        const match = env.match(/(\d+_\d+_\d+)/);
-        return match ? `Ruby ${match[1].replace(/_/g, '.')}` : env;
-    });
-
-    console.log(`🏷️ Chart labels:`, labels);
-    console.log(`📊 Chart datasets:`, datasets);
-
-    try {
-        const chartConfig = {
-            type: 'bar',
-            data: {
-                labels: labels,
-                datasets: datasets
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    title: {
-                        display: true,
-                        text: title,
-                        font: { size: 16, weight: 'bold' },
-                        color: textColor
+            ...(indexAxis === 'y' ? { indexAxis: 'y' } : {}),
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                title: {
+                    display: Boolean(title),
+                    text: title,
+                    color: colors.text,
+                    font: {
+                        size: 16,
+                        weight: 'bold'
                     },
-                    legend: {
-                        position: 'top',
-                        labels: {
-                            usePointStyle: true,
-                            padding: 20,
-                            font: { size: 12 },
-                            color: textColor
-                        }
-                    }
+                    padding: 20
                 },
-                scales: {
-                    y: {
-                        beginAtZero: true,
-                        title: {
-                            display: true,
-                            text: 'Iterations per Second',
-                            font: { size: 12, weight: 'bold' },
-                            color: textColor
-                        },
-                        ticks: {
-                            color: textColor
-                        },
-                        grid: {
-                            color: gridColor
-                        }
-                    },
-                    x: {
-                        title: {
-                            display: true,
-                            text: 'Ruby Versions',
-                            font: { size: 12, weight: 'bold' },
-                            color: textColor
-                        },
-                        ticks: {
-                            color: textColor
-                        },
-                        grid: {
-                            display: false
-                        }
+                legend: legend ? {
+                    position: 'top',
+                    labels: {
+                        color: colors.text,
+                        usePointStyle: true,
+                        padding: 15
                     }
+                } : {
+                    display: false
+                },
+                tooltip: {
+                    backgroundColor: colors.tooltipBackground,
+                    titleColor: colors.text,
+                    bodyColor: colors.text,
+                    borderColor: colors.grid,
+                    borderWidth: 1,
+                    cornerRadius: 8
                 }
+            },
+            scales: indexAxis === 'y'
+                ? { x: valueAxis, y: categoryAxis }
+                : { x: categoryAxis, y: valueAxis },
+            animation: {
+                duration: 750,
+                easing: 'easeInOutQuart'
             }
         };
+    }
 
-        console.log(`🎯 Creating chart with config:`, chartConfig);
-        const chart = new Chart(ctx, chartConfig);
-        console.log(`✅ Chart created successfully:`, chart);
-        console.log(`✅ Successfully created performance chart: ${canvasId}`);
-    } catch (error) {
-        console.error(`❌ Error creating performance chart ${canvasId}:`, error);
-        console.error(`❌ Error stack:`, error.stack);
+    /**
+     * Chart data for one metric of a set of results. Results are keyed by
+     * serializer, then by environment when environments are given (one
+     * dataset per serializer, one bar per environment); otherwise each
+     * serializer maps straight to its result (a single dataset with a bar per
+     * serializer). Environments without a result for a serializer are left
+     * as gaps.
+     */
+    function getBenchmarkChartData(results, {
+        metric = 'iterations_per_second',
+        environments = null,
+        labels = {},
+        serializers = {},
+        colors = null
+    } = {}) {
+        const definition = getMetricDefinitions()[metric];
+        if (!definition) {
+            throw new Error(`Unknown metric: ${metric}`);
+        }
+
+        const names = Object.keys(results || {});
+        const registry = colors || createColorRegistry(names, serializers);
+        const displayName = (name) => (serializers[name] || {}).display_name || name;
+
+        if (!environments) {
+            return {
+                labels: names.map(displayName),
+                datasets: [{
+                    label: definition.axisTitle,
+                    data: names.map(name => definition.value(results[name] || {})),
+                    backgroundColor: names.map(name => toRGBA(registry.get(name), 0.8)),
+                    borderColor: names.map(name => toRGBA(registry.get(name), 1)),
+                    borderWidth: 1,
+                    borderRadius: 4
+                }]
+            };
+        }
+
+        return {
+            labels: environments.map(env => labels[env] || env),
+            datasets: names.map(name => ({
+                label: displayName(name),
+                serializer: name,
+                data: environments.map(env => {
+                    const envData = (results[name] || {})[env];
+                    return envData ? definition.value(envData) : null;
+                }),
+                backgroundColor: toRGBA(registry.get(name), 0.8),
+                borderColor: toRGBA(registry.get(name), 1),
+                borderWidth: 1,
+                borderRadius: 4
+            }))
+        };
     }
-}
-
-/**
- * Create a memory chart for multi-version comparison
- */
-function createMemoryChart(canvasId, title, data, environments) {
-    if (!isChartJsLoaded()) {
-        console.error('Chart.js is not loaded');
-        return;
+
+    // Canvas drawing state, saved and restored with the transform and clip
+    const SVG_CONTEXT_DEFAULTS = {
+        fillStyle: '#000000',
+        strokeStyle: '#000000',
+        globalAlpha: 1,
+        lineWidth: 1,
+        lineCap: 'butt',
+        lineJoin: 'miter',
+        miterLimit: 10,
+        lineDashOffset: 0,
+        font: '10px sans-serif',
+        textAlign: 'start',
+        textBaseline: 'alphabetic'
+    };
+
+    const SVG_TEXT_ANCHORS = { start: 'start', left: 'start', center: 'middle', right: 'end', end: 'end' };
+
+    const SVG_BASELINES = {
+        top: 'text-before-edge',
+        hanging: 'hanging',
+        middle: 'central',
+        ideographic: 'ideographic',
+        bottom: 'text-after-edge'
+    };
+
+    function escapeXML(text) {
+        return String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
     }
 
-    const canvas = document.getElementById(canvasId);
-    if (!canvas) {
-        console.warn(`Canvas element with id '${canvasId}' not found`);
-        return;
+    // Rough text metrics from the font size, for when no canvas can measure
+    function estimateTextMetrics(text, font) {
+        const size = parseFloat((/([\d.]+)px/.exec(font) || [])[1]) || 10;
+        return {
+            width: String(text).length * size * 0.6,
+            actualBoundingBoxAscent: size * 0.8,
+            actualBoundingBoxDescent: size * 0.2
+        };
     }
 
-    const ctx = canvas.getContext('2d');
+    /**
+     * A stand-in for a canvas 2D context that records what is drawn as SVG,
+     * so Chart.js can draw a chart as shapes and text instead of pixels.
+     * It covers the calls Chart.js makes for bar and line charts: paths,
+     * arcs, rectangles, text, clipping, line dashes and transforms, which
+     * are expected to scale evenly. Images and gradients are not drawn.
+     *
+     * Text is measured with measureText(text, font); pass a real canvas
+     * context's to lay labels out as on screen. Clip path ids start with
+     * idPrefix, so several drawings can share one document. toSVG() returns
+     * the drawing without an enclosing <svg> element.
+     */
+    function createSVGContext({ canvas = null, measureText = estimateTextMetrics, idPrefix = 'clip' } = {}) {
+        let elements = [];
+        let defs = [];
+        let clipCount = 0;
+        let path = [];
+        let hasCurrentPoint = false;
+        let matrix = [1, 0, 0, 1, 0, 0];
+        let clipId = null;
+        let lineDash = [];
+        const stack = [];
+
+        const num = (value) => Math.round(value * 100) / 100;
+        const apply = (x, y) => [matrix[0] * x + matrix[2] * y + matrix[4], matrix[1] * x + matrix[3] * y + matrix[5]];
+        const point = (x, y) => apply(x, y).map(num).join(' ');
+        const determinant = () => matrix[0] * matrix[3] - matrix[1] * matrix[2];
+        const scaleFactor = () => Math.sqrt(Math.abs(determinant()));
+
+        const multiply = ([a, b, c, d, e, f]) => {
+            const [ma, mb, mc, md, me, mf] = matrix;
+            matrix = [
+                ma * a + mc * b, mb * a + md * b,
+                ma * c + mc * d, mb * c + md * d,
+                ma * e + mc * f + me, mb * e + md * f + mf
+            ];
+        };
 
-    const serializers = Object.keys(data);
-    if (serializers.length === 0) {
-        console.warn(`No data available for memory chart: ${canvasId}`);
-        return;
-    }
+        const rectPath = (x, y, width, height) =>
+            [`M ${point(x, y)}`, `L ${point(x + width, y)}`, `L ${point(x + width, y + height)}`, `L ${point(x, y + height)}`, 'Z'];
 
-    // Get theme-aware colors
-    const isDarkMode = document.documentElement.getAttribute('data-theme') === 'dark';
-    const textColor = getComputedStyle(document.documentElement).getPropertyValue('--text-primary').trim() || (isDarkMode ? '#F8FAFC' : '#0F172A');
-    const gridColor = getComputedStyle(document.documentElement).getPropertyValue('--border-primary').trim() || (isDarkMode ? '#475569' : '#E2E8F0');
+        const attributes = (pairs) => Object.entries(pairs)
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([name, value]) => ` ${name}="${escapeXML(value)}"`)
+            .join('');
 
-    // High contrast color palette
-    const colors = [
-        '#F97316', '#3B82F6', '#10B981', '#EF4444', '#8B5CF6',
-        '#F59E0B', '#EC4899', '#06B6D4', '#84CC16', '#6366F1'
-    ];
+        const common = () => ({
+            opacity: context.globalAlpha < 1 ? num(context.globalAlpha) : null,
+            'clip-path': clipId ? `url(#${clipId})` : null
+        });
 
-    const datasets = serializers.map((serializer, index) => {
-        const serializerData = data[serializer];
-        const values = environments.map(env => {
-            const envData = serializerData[env];
-            return envData ? (envData.allocated_memory / 1024 / 1024) : 0; // Convert to MB
+        const fillAttributes = (fillRule) => ({
+            fill: String(context.fillStyle),
+            'fill-rule': fillRule === 'evenodd' ? 'evenodd' : null
         });
 
-        return {
-            label: serializer,
-            data: values,
-            backgroundColor: colors[index % colors.length],
-            borderColor: colors[index % colors.length],
-            borderWidth: 2,
-            borderRadius: 4,
-            borderSkipped: false,
+        const strokeAttributes = () => {
+            const scale = scaleFactor();
+            return {
+                fill: 'none',
+                stroke: String(context.strokeStyle),
+                'stroke-width': num(context.lineWidth * scale),
+                'stroke-linecap': context.lineCap === 'butt' ? null : context.lineCap,
+                'stroke-linejoin': context.lineJoin === 'miter' ? null : context.lineJoin,
+                'stroke-miterlimit': context.lineJoin === 'miter' && context.miterLimit !== 10 ? context.miterLimit : null,
+                'stroke-dasharray': lineDash.length > 0 ? lineDash.map(length => num(length * scale)).join(' ') : null,
+                'stroke-dashoffset': lineDash.length > 0 && context.lineDashOffset ? num(context.lineDashOffset * scale) : null
+            };
         };
-    });
-
-    // Convert environment names to readable Ruby versions
-    const labels = environments.map(env => {
-        const match = env.match(/(\d+_\d+_\d+)/);
-        return match ? `Ruby ${match[1].replace(/_/g, '.')}` : env;
-    });
-
-    try {
-        new Chart(ctx, {
-            type: 'bar',
-            data: {
-                labels: labels,
-                datasets: datasets
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    title: {
-                        display: true,
-                        text: title,
-                        font: { size: 16, weight: 'bold' },
-                        color: textColor
-                    },
-                    legend: {
-                        position: 'top',
-                        labels: {
-                            usePointStyle: true,
-                            padding: 20,
-                            font: { size: 12 },
-                            color: textColor
-                        }
-                    }
-                },
-                scales: {
-                    y: {
-                        beginAtZero: true,
-                        title: {
-                            display: true,
-                            text: 'Memory Usage (MB)',
-                            font: { size: 12, weight: 'bold' },
-                            color: textColor
-                        },
-                        ticks: {
-                            color: textColor
-                        },
-                        grid: {
-                            color: gridColor
-                        }
-                    },
-                    x: {
-                        title: {
-                            display: true,
-                            text: 'Ruby Versions',
-                            font: { size: 12, weight: 'bold' },
-                            color: textColor
-                        },
-                        ticks: {
-                            color: textColor
-                        },
-                        grid: {
-                            display: false
-                        }
-                    }
+
+        const drawPath = (segments, pairs) => {
+            if (segments.length === 0) return;
+            elements.push(`<path d="${segments.join(' ')}"${attributes({ ...pairs, ...common() })}/>`);
+        };
+
+        const drawText = (text, x, y, pairs) => {
+            const transform = matrix.map(num).join(' ');
+            elements.push(`<text x="${num(x)}" y="${num(y)}"${attributes({
+                transform: transform === '1 0 0 1 0 0' ? null : `matrix(${transform})`,
+                style: `font: ${context.font}`,
+                'text-anchor': SVG_TEXT_ANCHORS[context.textAlign] === 'start' ? null : SVG_TEXT_ANCHORS[context.textAlign],
+                'dominant-baseline': SVG_BASELINES[context.textBaseline] || null,
+                ...pairs,
+                ...common()
+            })}>${escapeXML(text)}</text>`);
+        };
+
+        const context = {
+            ...SVG_CONTEXT_DEFAULTS,
+            canvas,
+
+            save() {
+                const state = {};
+                Object.keys(SVG_CONTEXT_DEFAULTS).forEach(key => {
+                    state[key] = context[key];
+                });
+                stack.push({ state, matrix, clipId, lineDash });
+            },
+
+            restore() {
+                const saved = stack.pop();
+                if (!saved) return;
+                Object.assign(context, saved.state);
+                ({ matrix, clipId, lineDash } = saved);
+            },
+
+            translate(x, y) {
+                multiply([1, 0, 0, 1, x, y]);
+            },
+
+            scale(x, y) {
+                multiply([x, 0, 0, y, 0, 0]);
+            },
+
+            rotate(angle) {
+                multiply([Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), 0, 0]);
+            },
+
+            transform(a, b, c, d, e, f) {
+                multiply([a, b, c, d, e, f]);
+            },
+
+            setTransform(a = 1, b = 0, c = 0, d = 1, e = 0, f = 0) {
+                matrix = [a, b, c, d, e, f];
+            },
+
+            resetTransform() {
+                matrix = [1, 0, 0, 1, 0, 0];
+            },
+
+            beginPath() {
+                path = [];
+                hasCurrentPoint = false;
+            },
+
+            closePath() {
+                if (hasCurrentPoint) path.push('Z');
+            },
+
+            moveTo(x, y) {
+                path.push(`M ${point(x, y)}`);
+                hasCurrentPoint = true;
+            },
+
+            lineTo(x, y) {
+                path.push(`${hasCurrentPoint ? 'L' : 'M'} ${point(x, y)}`);
+                hasCurrentPoint = true;
+            },
+
+            quadraticCurveTo(cx, cy, x, y) {
+                if (!hasCurrentPoint) context.moveTo(cx, cy);
+                path.push(`Q ${point(cx, cy)} ${point(x, y)}`);
+            },
+
+            bezierCurveTo(c1x, c1y, c2x, c2y, x, y) {
+                if (!hasCurrentPoint) context.moveTo(c1x, c1y);
+                path.push(`C ${point(c1x, c1y)} ${point(c2x, c2y)} ${point(x, y)}`);
+            },
+
+            rect(x, y, width, height) {
+                path.push(...rectPath(x, y, width, height));
+                hasCurrentPoint = true;
+            },
+
+            arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+                context.ellipse(x, y, radius, radius, 0, startAngle, endAngle, counterclockwise);
+            },
+
+            ellipse(x, y, radiusX, radiusY, rotation, startAngle, endAngle, counterclockwise = false) {
+                // Sweep as the canvas does: a whole turn at most, in the given direction
+                const turn = Math.PI * 2;
+                const requested = counterclockwise ? startAngle - endAngle : endAngle - startAngle;
+                const sweep = (requested >= turn ? turn : ((requested % turn) + turn) % turn) * (counterclockwise ? -1 : 1);
+
+                const at = (angle) => [
+                    x + radiusX * Math.cos(angle) * Math.cos(rotation) - radiusY * Math.sin(angle) * Math.sin(rotation),
+                    y + radiusX * Math.cos(angle) * Math.sin(rotation) + radiusY * Math.sin(angle) * Math.cos(rotation)
+                ];
+
+                context.lineTo(...at(startAngle));
+                if (sweep === 0 || (radiusX === 0 && radiusY === 0)) return;
+
+                // Half turns at most per arc command, so the large-arc flag is never needed
+                const scale = scaleFactor();
+                const tilt = num((rotation + Math.atan2(matrix[1], matrix[0])) * 180 / Math.PI);
+                const sweepFlag = (sweep > 0) === (determinant() > 0) ? 1 : 0;
+                const steps = Math.ceil(Math.abs(sweep) / Math.PI);
+                for (let step = 1; step <= steps; step++) {
+                    const [px, py] = at(startAngle + sweep * step / steps);
+                    path.push(`A ${num(radiusX * scale)} ${num(radiusY * scale)} ${tilt} 0 ${sweepFlag} ${point(px, py)}`);
                 }
+            },
+
+            fill(fillRule) {
+                drawPath(path, fillAttributes(fillRule));
+            },
+
+            stroke() {
+                drawPath(path, strokeAttributes());
+            },
+
+            clip(fillRule) {
+                const id = `${idPrefix}-${++clipCount}`;
+                defs.push(`<clipPath id="${escapeXML(id)}"${attributes({
+                    'clip-path': clipId ? `url(#${clipId})` : null
+                })}><path d="${path.join(' ')}"${attributes({
+                    'clip-rule': fillRule === 'evenodd' ? 'evenodd' : null
+                })}/></clipPath>`);
+                clipId = id;
+            },
+
+            fillRect(x, y, width, height) {
+                drawPath(rectPath(x, y, width, height), fillAttributes());
+            },
+
+            strokeRect(x, y, width, height) {
+                drawPath(rectPath(x, y, width, height), strokeAttributes());
+            },
+
+            // Chart.js clears the whole canvas before drawing a frame, which
+            // starts the drawing over; smaller clears are not recorded
+            clearRect(x, y, width, height) {
+                const [left, top] = apply(x, y);
+                const [right, bottom] = apply(x + width, y + height);
+                const covers = !canvas || (Math.min(left, right) <= 0 && Math.min(top, bottom) <= 0 &&
+                    Math.max(left, right) >= canvas.width && Math.max(top, bottom) >= canvas.height);
+                if (covers) {
+                    elements = [];
+                    defs = [];
+                }
+            },
+
+            fillText(text, x, y) {
+                drawText(text, x, y, { fill: String(context.fillStyle) });
+            },
+
+            strokeText(text, x, y) {
+                drawText(text, x, y, strokeAttributes());
+            },
+
+            measureText(text) {
+                return measureText(text, context.font);
+            },
+
+            setLineDash(segments) {
+                if (segments.some(length => !Number.isFinite(length) || length < 0)) return;
+                lineDash = segments.length % 2 === 1 ? [...segments, ...segments] : [...segments];
+            },
+
+            getLineDash() {
+                return [...lineDash];
+            },
+
+            drawImage() {},
+
+            toSVG() {
+                return `${defs.length > 0 ? `<defs>${defs.join('')}</defs>` : ''}${elements.join('')}`;
             }
+        };
+
+        return context;
+    }
+
+    /**
+     * Create a Chart.js chart on a canvas, given as an element or its id.
+     * Throws when Chart.js or the canvas is missing.
+     */
+    function createChart(target, { type = 'bar', data, options = {}, plugins = [] }) {
+        if (!isChartJsLoaded()) {
+            throw new Error('Chart.js is not loaded');
+        }
+
+        const canvas = typeof target === 'string' ? document.getElementById(target) : target;
+        if (!canvas) {
+            throw new Error(`Canvas element with id '${target}' not found`);
+        }
+
+        return new Chart(canvas.getContext('2d'), { type, data, options, plugins });
+    }
+
+    /**
+     * Create a bar chart of one metric for a set of results (see
+     * getBenchmarkChartData) on the page's theme. Environment labels come
+     * from the labels option, keyed by environment.
+     */
+    function createBenchmarkChart(target, {
+        title = '',
+        metric = 'iterations_per_second',
+        results,
+        environments = null,
+        labels = {},
+        serializers = {},
+        colors = null,
+        theme = getTheme()
+    }) {
+        const definition = getMetricDefinitions()[metric];
+        const data = getBenchmarkChartData(results, { metric, environments, labels, serializers, colors });
+        const options = getChartOptions({
+            theme,
+            title,
+            valueTitle: definition.axisTitle,
+            formatTick: definition.format,
+            legend: Boolean(environments)
         });
-        console.log(`Successfully created memory chart: ${canvasId}`);
-    } catch (error) {
-        console.error(`Error creating memory chart ${canvasId}:`, error);
+        options.plugins.tooltip.callbacks = {
+            label: (context) => `${environments ? `${context.dataset.label}: ` : ''}${definition.format(context.parsed.y)}`
+        };
+
+        return createChart(target, { type: 'bar', data, options });
     }
-}
+
+    return {
+        PALETTE,
+        isChartJsLoaded,
+        getTheme,
+        getThemeColors,
+        createColorRegistry,
+        toRGBA,
+        formatDuration,
+        formatBytes,
+        getMetricDefinitions,
+        getChartOptions,
+        getBenchmarkChartData,
+        createSVGContext,
+        createChart,
+        createBenchmarkChart
+    };
+});
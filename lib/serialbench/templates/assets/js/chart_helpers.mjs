@@ -0,0 +1,22 @@
+// ES module entry for the Serialbench chart factory (see chart_helpers.js)
+import './chart_helpers.js';
+
+const SerialbenchCharts = globalThis.SerialbenchCharts;
+
+export default SerialbenchCharts;
+export const {
+    PALETTE,
+    isChartJsLoaded,
+    getTheme,
+    getThemeColors,
+    createColorRegistry,
+    toRGBA,
+    formatDuration,
+    formatBytes,
+    getMetricDefinitions,
+    getChartOptions,
+    getBenchmarkChartData,
+    createSVGContext,
+    createChart,
+    createBenchmarkChart
+} = SerialbenchCharts;
@@ -1,23 +1,56 @@
 /**
  * Modern Dashboard for SerialBench Format-Based Reports
  * Features: Tag-based filtering, theme management, responsive charts
+ *
+ * Lifecycle events (see emit()): chart:created, chart:updated, chart:error
+ * and filters:changed.
  */
 
-class SerialBenchDashboard {
+class SerialBenchDashboard extends EventTarget {
     constructor() {
+        super();
+
         // Handle the new nested data structure
         const rawData = window.benchmarkData || {};
         this.data = {
             combined_results: rawData.combined_results || {},
             environments: rawData.environments || {},
-            metadata: rawData.metadata || {}
+            metadata: rawData.metadata || {},
+            history: rawData.history || [],
+            serializers: rawData.serializers || {},
+            // Present when each format's results are a separate chunk
+            formats: rawData.formats || null,
+            data_sizes: rawData.data_sizes || []
         };
+        this.loadedFormats = new Set();
+        this.chunkRequests = new Map();
         this.charts = new Map();
+        this.chartPanels = new Map();
         this.filters = {
             platforms: new Set(),
-            rubyTypes: new Set(['ruby']), // Default to ruby, will add jruby later
+            rubyTypes: new Set(),
             rubyVersions: new Set(),
-            format: 'xml'
+            kinds: new Set(),
+            tags: new Set(),
+            format: 'xml',
+            dataSize: 'all',
+            chartMode: 'combined',
+            view: 'snapshot',
+            baseline: null,
+            candidate: null,
+            noiseThreshold: 5,
+            metrics: {},
+            scales: {},
+            hiddenSerializers: new Set(),
+            // Serializer shown in the details dialog, if any
+            detail: null
+        };
+
+        // Results table state is local to the page and not part of shared links
+        this.tableState = {
+            sortKey: 'serializer',
+            sortDirection: 'asc',
+            search: ''
         };
 
         this.theme = this.getStoredTheme() || this.getSystemTheme();
@@ -34,18 +67,34 @@ class SerialBenchDashboard {
             this.applyTheme(this.theme);
 
             // Initialize components
+            this.setupLifecycleListeners();
             this.setupThemeToggle();
             this.initializeFilters();
+            this.setupResultsTable();
+            this.setupExportMenu();
+            this.setupSerializerDetail();
             this.setupEventListeners();
-            this.createCharts();
-            this.updateSummary();
-            this.updateEnvironmentInfo();
 
-            // Set initial filter states
+            // Set initial filter states, letting a shared link override the defaults
             this.setDefaultFilters();
-            this.applyFilters();
+            this.loadFromURL();
+            this.syncFilterControls();
+
+            this.updateViewVisibility();
+            if (await this.ensureFormatLoaded()) {
+                if (this.filters.view === 'compare') {
+                    this.updateComparison();
+                } else {
+                    this.createCharts();
+                }
+                this.updateSummary();
+                this.updateResultsTable();
+            }
+            this.updateEnvironmentInfo();
+            this.updateSerializerDetail();
 
             this.isInitialized = true;
+            this.updateURL({ replace: true });
             console.log('✅ Dashboard initialized successfully');
 
         } catch (error) {
@@ -54,6 +103,141 @@ class SerialBenchDashboard {
         }
     }
 
+    // Data Loading
+    isFormatLoaded(format) {
+        return !this.data.formats || !this.data.formats[format] || this.loadedFormats.has(format);
+    }
+
+    /**
+     * Fetch a format's chunk and merge it into this.data. Each chunk is
+     * requested once; a failed request is dropped so that the next filter
+     * change tries again.
+     */
+    loadFormat(format) {
+        if (this.isFormatLoaded(format)) return Promise.resolve();
+
+        if (!this.chunkRequests.has(format)) {
+            console.log(`📦 Fetching ${format} results...`);
+            const request = fetch(this.data.formats[format].chunk)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(chunk => {
+                    this.mergeChunk(chunk);
+                    this.loadedFormats.add(format);
+                })
+                .catch(error => {
+                    this.chunkRequests.delete(format);
+                    throw error;
+                });
+            this.chunkRequests.set(format, request);
+        }
+        return this.chunkRequests.get(format);
+    }
+
+    // Chunks share the layout of the inline data, with history results by run index
+    mergeChunk(chunk) {
+        const merge = (target, source) => {
+            Object.entries(source || {}).forEach(([operation, sizes]) => {
+                target[operation] = target[operation] || {};
+                Object.entries(sizes).forEach(([size, formats]) => {
+                    target[operation][size] = { ...target[operation][size], ...formats };
+                });
+            });
+        };
+
+        merge(this.data.combined_results, chunk.combined_results);
+        (chunk.history || []).forEach((results, index) => {
+            const run = this.data.history[index];
+            if (!run || !results) return;
+            run.results = run.results || {};
+            merge(run.results, results);
+        });
+    }
+
+    /**
+     * Make sure a format's results are loaded, with a loading state on every
+     * chart meanwhile. Each chart's loading state clears when it next fires
+     * chart:created, chart:updated or chart:error. Resolves to false when the
+     * chunk could not be fetched; every chart, and every heatmap (which has
+     * no canvas and fires no events), then says why.
+     */
+    async ensureFormatLoaded(format = this.filters.format) {
+        if (this.isFormatLoaded(format)) return true;
+
+        this.setChartsLoading(`Loading ${format.toUpperCase()} results…`);
+        try {
+            await this.loadFormat(format);
+            // Scale baselines and serializer lists depend on the loaded results
+            this.syncFilterControls();
+            return true;
+        } catch (error) {
+            console.error(`❌ Failed to load ${format} results:`, error);
+            const message = `Could not load ${format.toUpperCase()} results from ` +
+                `${this.data.formats[format].chunk} (${error.message}). Open the report over HTTP, ` +
+                'or build it without --chunked to view it from disk.';
+            document.querySelectorAll('.chart-container').forEach(container => {
+                const canvas = container.querySelector('canvas');
+                if (canvas) {
+                    this.showChartError(canvas, message, error);
+                } else {
+                    // A heatmap still shows the previous format; drop it too
+                    container.innerHTML = '';
+                    this.renderChartError(container, message);
+                }
+            });
+            return false;
+        }
+    }
+
+    // Cover each chart on show with a message; hidden charts render when shown
+    setChartsLoading(message) {
+        document.querySelectorAll('.chart-container').forEach(container => {
+            if (!container.closest('.hidden')) this.setChartLoading(container, message);
+        });
+    }
+
+    // Cover one chart with a message, or remove the cover when there is none
+    setChartLoading(container, message) {
+        let overlay = container.querySelector('.chart-loading');
+        if (!message) {
+            if (overlay) overlay.remove();
+            return;
+        }
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.className = 'chart-loading';
+            overlay.setAttribute('role', 'status');
+            container.appendChild(overlay);
+        }
+        overlay.textContent = message;
+    }
+
+    // Events
+    /**
+     * Fire a lifecycle event on the dashboard, and on the document as
+     * "serialbench:<type>" for pages that start listening before the
+     * dashboard exists. The detail always carries the dashboard; chart
+     * events add the chart id and canvas, and the Chart.js instance or
+     * error message.
+     */
+    emit(type, detail = {}) {
+        const eventDetail = { dashboard: this, ...detail };
+        this.dispatchEvent(new CustomEvent(type, { detail: eventDetail }));
+        document.dispatchEvent(new CustomEvent(`serialbench:${type}`, { detail: eventDetail }));
+    }
+
+    // A chart's loading state ends when it has rendered or failed
+    setupLifecycleListeners() {
+        ['chart:created', 'chart:updated', 'chart:error'].forEach(type => {
+            this.addEventListener(type, (e) => {
+                const container = e.detail.canvas.parentElement;
+                if (container) this.setChartLoading(container, null);
+            });
+        });
+    }
+
     // Theme Management
     getSystemTheme() {
         return window.matchMedia('(prefers-color-scheme: light)').matches ? 'light' : 'dark';
@@ -102,116 +286,266 @@ class SerialBenchDashboard {
     }
 
     populateFilterOptions() {
-        // Extract available platforms from data
-        const platforms = new Set();
-        const rubyVersions = new Set();
-
-        if (this.data.environments) {
-            Object.values(this.data.environments).forEach(env => {
-                // Use os-arch combination instead of ruby_platform
-                const platformKey = `${env.os}-${env.arch}`;
-                platforms.add(platformKey);
-                rubyVersions.add(env.ruby_version);
+        // Populate data size filter
+        const sizeSelect = document.getElementById('data-size-filter');
+        if (sizeSelect) {
+            sizeSelect.innerHTML = '<option value="all">All Sizes</option>';
+            this.getAvailableDataSizes().forEach(size => {
+                const option = document.createElement('option');
+                option.value = size;
+                option.textContent = size.charAt(0).toUpperCase() + size.slice(1);
+                sizeSelect.appendChild(option);
             });
         }
 
-        // Populate platform filter
-        const platformSelect = document.getElementById('platform-filter');
-        if (platformSelect) {
-            platformSelect.innerHTML = '<option value="">All Platforms</option>';
-            Array.from(platforms).sort().forEach(platform => {
+        // Populate comparison environment pickers
+        ['compare-baseline', 'compare-candidate'].forEach(id => {
+            const select = document.getElementById(id);
+            if (!select) return;
+
+            select.innerHTML = '';
+            this.getSortedEnvironmentKeys().forEach(envKey => {
+                const env = this.data.environments[envKey];
                 const option = document.createElement('option');
-                option.value = platform;
-                option.textContent = platform;
-                platformSelect.appendChild(option);
+                option.value = envKey;
+                option.textContent = `${this.describeRuby(env)} on ${env.os}-${env.arch} (${this.getEnvironmentKind(env)})`;
+                select.appendChild(option);
             });
-        }
+        });
+    }
 
-        // Populate Ruby version filter
-        const versionSelect = document.getElementById('ruby-version-filter');
-        if (versionSelect) {
-            versionSelect.innerHTML = '<option value="">All Versions</option>';
-            Array.from(rubyVersions).sort().forEach(version => {
-                const option = document.createElement('option');
-                option.value = version;
-                option.textContent = `Ruby ${version}`;
-                versionSelect.appendChild(option);
+
+    setupFilterEventListeners() {
+        // Platform, Ruby type, version, kind and tag multi-selects
+        this.getMultiSelectFilters().forEach(config => this.setupMultiSelect(config));
+
+        // Data size filter
+        const sizeSelect = document.getElementById('data-size-filter');
+        if (sizeSelect) {
+            sizeSelect.addEventListener('change', (e) => {
+                this.filters.dataSize = e.target.value || 'all';
+                this.syncFilterControls();
+                this.applyFilters();
             });
         }
 
-        // Ruby type filter (for future JRuby support)
-        const typeSelect = document.getElementById('ruby-type-filter');
-        if (typeSelect) {
-            typeSelect.innerHTML = `
-                <option value="">All Types</option>
-                <option value="ruby" selected>Ruby</option>
-                <option value="jruby" disabled>JRuby (Coming Soon)</option>
-            `;
+        // Chart layout
+        const modeSelect = document.getElementById('chart-mode-filter');
+        if (modeSelect) {
+            modeSelect.addEventListener('change', (e) => {
+                this.filters.chartMode = e.target.value || 'combined';
+                this.applyFilters();
+            });
         }
-    }
 
+        // Snapshot or trend view
+        const viewSelect = document.getElementById('view-filter');
+        if (viewSelect) {
+            viewSelect.addEventListener('change', (e) => {
+                this.filters.view = e.target.value || 'snapshot';
+                this.syncFilterControls();
+                this.applyFilters();
+            });
+        }
 
-    setupFilterEventListeners() {
-        // Platform filter
-        const platformSelect = document.getElementById('platform-filter');
-        if (platformSelect) {
-            platformSelect.addEventListener('change', (e) => {
-                if (e.target.value) {
-                    this.filters.platforms = new Set([e.target.value]);
-                } else {
-                    this.filters.platforms.clear();
-                }
+        // Environment comparison
+        const baselineSelect = document.getElementById('compare-baseline');
+        if (baselineSelect) {
+            baselineSelect.addEventListener('change', (e) => {
+                this.filters.baseline = e.target.value;
                 this.applyFilters();
             });
         }
 
-        // Ruby version filter
-        const versionSelect = document.getElementById('ruby-version-filter');
-        if (versionSelect) {
-            versionSelect.addEventListener('change', (e) => {
-                if (e.target.value) {
-                    this.filters.rubyVersions = new Set([e.target.value]);
-                } else {
-                    this.filters.rubyVersions.clear();
-                }
+        const candidateSelect = document.getElementById('compare-candidate');
+        if (candidateSelect) {
+            candidateSelect.addEventListener('change', (e) => {
+                this.filters.candidate = e.target.value;
                 this.applyFilters();
             });
         }
 
-        // Ruby type filter
-        const typeSelect = document.getElementById('ruby-type-filter');
-        if (typeSelect) {
-            typeSelect.addEventListener('change', (e) => {
-                if (e.target.value) {
-                    this.filters.rubyTypes = new Set([e.target.value]);
-                } else {
-                    this.filters.rubyTypes = new Set(['ruby']); // Default to ruby
-                }
+        const thresholdInput = document.getElementById('compare-threshold');
+        if (thresholdInput) {
+            thresholdInput.addEventListener('change', (e) => {
+                const threshold = parseFloat(e.target.value);
+                this.filters.noiseThreshold = isNaN(threshold) || threshold < 0 ? 0 : threshold;
                 this.applyFilters();
             });
         }
 
+        // Per-chart metric selectors
+        document.querySelectorAll('[data-metric-for]').forEach(select => {
+            select.addEventListener('change', (e) => {
+                this.filters.metrics[select.dataset.metricFor] = e.target.value;
+                this.applyFilters();
+            });
+        });
+
+        // Per-chart scale selectors
+        document.querySelectorAll('[data-scale-for]').forEach(select => {
+            select.addEventListener('change', (e) => {
+                this.filters.scales[select.dataset.scaleFor] = e.target.value;
+                this.applyFilters();
+            });
+        });
+
         // Format tabs
         document.querySelectorAll('.format-tab').forEach(tab => {
             tab.addEventListener('click', (e) => {
                 e.preventDefault();
                 const format = e.target.dataset.format;
                 this.setActiveFormat(format);
+                this.syncFilterControls();
                 this.applyFilters();
             });
         });
-    }
 
-    setDefaultFilters() {
-        // Set all platforms and versions by default
-        if (this.data.environments) {
-            Object.values(this.data.environments).forEach(env => {
-                // Use os-arch combination instead of ruby_platform
-                const platformKey = `${env.os}-${env.arch}`;
-                this.filters.platforms.add(platformKey);
-                this.filters.rubyVersions.add(env.ruby_version);
+        // Heatmap cells open their details, row names their serializer's
+        const grid = document.querySelector('.dashboard-grid');
+        if (grid) {
+            grid.addEventListener('click', (e) => {
+                const cell = e.target.closest('.heatmap-cell');
+                const name = e.target.closest('[data-serializer-detail]');
+                if (cell) {
+                    this.toggleHeatmapDetails(cell);
+                } else if (name) {
+                    this.openSerializerDetail(name.dataset.serializerDetail);
+                }
+            });
+        }
+
+        // Serializer toggle bar, shared by every chart
+        const toggles = document.getElementById('serializer-toggles');
+        if (toggles) {
+            toggles.addEventListener('click', (e) => {
+                const button = e.target.closest('button');
+                if (!button) return;
+
+                if (button.dataset.serializer && e.shiftKey) {
+                    this.openSerializerDetail(button.dataset.serializer);
+                } else if (button.dataset.serializer) {
+                    this.toggleSerializer(button.dataset.serializer, e.altKey);
+                } else if (button.dataset.showAll !== undefined) {
+                    this.filters.hiddenSerializers.clear();
+                    this.renderSerializerToggles();
+                    this.applyFilters();
+                }
             });
         }
+    }
+
+    getAvailablePlatforms() {
+        const platforms = new Set();
+        Object.values(this.data.environments || {}).forEach(env => {
+            platforms.add(`${env.os}-${env.arch}`);
+        });
+        return Array.from(platforms).sort();
+    }
+
+    getAvailableRubyVersions() {
+        const versions = new Set();
+        Object.values(this.data.environments || {}).forEach(env => {
+            versions.add(env.ruby_version);
+        });
+        return Array.from(versions).sort();
+    }
+
+    getAvailableRubyEngines() {
+        const engines = new Set();
+        Object.values(this.data.environments || {}).forEach(env => {
+            engines.add(this.getRubyEngine(env));
+        });
+        return Array.from(engines).sort();
+    }
+
+    // Sites generated before the engine was recorded only held CRuby results
+    getRubyEngine(env) {
+        return env.ruby_engine || 'ruby';
+    }
+
+    formatRubyEngine(engine) {
+        return ({ ruby: 'Ruby', jruby: 'JRuby', truffleruby: 'TruffleRuby' })[engine] || engine;
+    }
+
+    // "Ruby 3.3.0", "JRuby 3.1.4"; alternative engines report their compatible Ruby version
+    describeRuby(env) {
+        return `${this.formatRubyEngine(this.getRubyEngine(env))} ${env.ruby_version}`;
+    }
+
+    // CRuby keeps the regular styling; other engines get the next variants
+    getEngineIndex(env) {
+        const engines = this.getAvailableRubyEngines().filter(engine => engine !== 'ruby');
+        return env && this.getRubyEngine(env) !== 'ruby' ? engines.indexOf(this.getRubyEngine(env)) + 1 : 0;
+    }
+
+    getEngineAlpha(env) {
+        return [0.8, 0.45, 0.2][this.getEngineIndex(env) % 3];
+    }
+
+    getAvailableKinds() {
+        const kinds = new Set();
+        Object.values(this.data.environments || {}).forEach(env => {
+            kinds.add(this.getEnvironmentKind(env));
+        });
+        return Array.from(kinds).sort();
+    }
+
+    getAvailableTags() {
+        const tags = new Set();
+        Object.values(this.data.environments || {}).forEach(env => {
+            (env.tags || []).forEach(tag => tags.add(tag));
+        });
+        return Array.from(tags).sort();
+    }
+
+    // Results generated before the kind was recorded were all local runs
+    getEnvironmentKind(env) {
+        return env.kind || 'local';
+    }
+
+    getSortedEnvironmentKeys() {
+        return Object.keys(this.data.environments || {}).sort((a, b) => {
+            const envA = this.data.environments[a];
+            const envB = this.data.environments[b];
+            return this.compareVersions(envA.ruby_version, envB.ruby_version) || a.localeCompare(b);
+        });
+    }
+
+    compareVersions(a, b) {
+        const partsA = String(a).split('.').map(Number);
+        const partsB = String(b).split('.').map(Number);
+        for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+            const diff = (partsA[i] || 0) - (partsB[i] || 0);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    }
+
+    getAvailableFormats() {
+        return Array.from(document.querySelectorAll('.format-tab'))
+            .map(tab => tab.dataset.format);
+    }
+
+    setDefaultFilters() {
+        // Set all platforms, versions and kinds by default; tags only narrow
+        this.getMultiSelectFilters().forEach(config => {
+            this.filters[config.key] = new Set(config.requireAll ? [] : config.options());
+        });
+        this.filters.format = 'xml';
+        this.filters.dataSize = 'all';
+        this.filters.chartMode = 'combined';
+        this.filters.view = 'snapshot';
+        this.filters.noiseThreshold = 5;
+        this.filters.metrics = {};
+        this.filters.scales = {};
+        this.filters.hiddenSerializers = new Set();
+        this.filters.detail = null;
+
+        // Compare the oldest Ruby against the newest by default
+        const envKeys = this.getSortedEnvironmentKeys();
+        this.filters.baseline = envKeys[0] || null;
+        this.filters.candidate = envKeys[envKeys.length - 1] || null;
 
         console.log('🔧 Default filters set:', {
             platforms: Array.from(this.filters.platforms),
@@ -234,284 +568,1101 @@ class SerialBenchDashboard {
         }
     }
 
-    applyFilters() {
+    applyFilters(options = {}) {
         if (!this.isInitialized) return;
 
+        if (options.notify !== false) {
+            this.emit('filters:changed', { filters: this.getFilterState() });
+        }
+
+        // Render once the format's results have arrived
+        if (!this.isFormatLoaded(this.filters.format)) {
+            if (options.updateURL !== false) {
+                this.updateURL();
+            }
+            this.ensureFormatLoaded().then(loaded => {
+                if (loaded) this.applyFilters({ ...options, updateURL: false, notify: false });
+            });
+            return;
+        }
+
         console.log('🔍 Applying filters:', this.filters);
 
         // Update charts with filtered data
-        this.updateCharts();
+        this.updateViewVisibility();
+        if (this.filters.view === 'compare') {
+            this.updateComparison();
+        } else {
+            this.updateCharts();
+        }
         this.updateSummary();
+        this.updateResultsTable();
         this.updateEnvironmentInfo();
+        this.updateSerializerDetail();
 
-        // Update URL to reflect current state
-        this.updateURL();
+        // Update URL to reflect current state, unless we are replaying history
+        if (options.updateURL !== false) {
+            this.updateURL();
+        }
     }
 
-    // Chart Management
-    createCharts() {
-        const operations = ['parsing', 'generation', 'memory', 'streaming'];
+    // Reflect the current filter state in the filter bar controls
+    syncFilterControls() {
+        this.getMultiSelectFilters().forEach(config => this.renderMultiSelect(config));
+        this.setActiveFormat(this.filters.format);
 
-        operations.forEach(operation => {
-            this.createChart(operation);
+        const sizeSelect = document.getElementById('data-size-filter');
+        if (sizeSelect) {
+            sizeSelect.value = this.filters.dataSize;
+        }
+
+        document.querySelectorAll('[data-metric-for]').forEach(select => {
+            select.value = this.getChartMetric(select.dataset.metricFor);
         });
-    }
 
-    createChart(operation) {
-        const canvas = document.getElementById(`chart-${operation}`);
-        if (!canvas) {
-            console.warn(`Canvas not found for operation: ${operation}`);
-            return;
-        }
+        document.querySelectorAll('[data-scale-for]').forEach(select => {
+            this.populateScaleOptions(select, select.dataset.scaleFor);
+            select.disabled = this.filters.view === 'heatmap';
+        });
 
-        // Clear any existing error message and show canvas
-        this.clearChartError(canvas);
+        // Heatmaps are tables, not Chart.js charts
+        document.querySelectorAll('[data-download-chart], [data-copy-embed]').forEach(button => {
+            button.disabled = this.filters.view === 'heatmap';
+        });
 
-        const ctx = canvas.getContext('2d');
-        const data = this.getFilteredChartData(operation);
+        this.renderSerializerToggles();
 
-        if (!data || data.datasets.length === 0) {
-            this.showChartError(canvas, `No data available for ${operation}`);
-            return;
+        // The layout choice only matters when every data size is shown
+        const modeSelect = document.getElementById('chart-mode-filter');
+        if (modeSelect) {
+            modeSelect.value = this.filters.chartMode;
+            modeSelect.disabled = this.filters.dataSize !== 'all' || ['trend', 'heatmap'].includes(this.filters.view);
         }
 
-        try {
-            const chart = new Chart(ctx, {
-                type: 'bar',
-                data: data,
-                options: this.getChartOptions(operation)
-            });
-
-            this.charts.set(operation, chart);
-            console.log(`📊 Created chart for ${operation}`);
+        const viewSelect = document.getElementById('view-filter');
+        if (viewSelect) {
+            const trendOption = viewSelect.querySelector('option[value="trend"]');
+            if (trendOption) {
+                trendOption.disabled = !this.hasTrendData();
+                trendOption.title = trendOption.disabled ? 'Trends need runs from at least two dates' : '';
+            }
+            const compareOption = viewSelect.querySelector('option[value="compare"]');
+            if (compareOption) {
+                compareOption.disabled = !this.hasComparisonData();
+                compareOption.title = compareOption.disabled ? 'Comparisons need at least two environments' : '';
+            }
+            viewSelect.value = this.filters.view;
+        }
 
-        } catch (error) {
-            console.error(`Failed to create chart for ${operation}:`, error);
-            this.showChartError(canvas, `Failed to load ${operation} chart`);
+        const baselineSelect = document.getElementById('compare-baseline');
+        if (baselineSelect && this.filters.baseline) {
+            baselineSelect.value = this.filters.baseline;
+        }
+        const candidateSelect = document.getElementById('compare-candidate');
+        if (candidateSelect && this.filters.candidate) {
+            candidateSelect.value = this.filters.candidate;
+        }
+        const thresholdInput = document.getElementById('compare-threshold');
+        if (thresholdInput) {
+            thresholdInput.value = this.filters.noiseThreshold;
         }
     }
 
-    getFilteredChartData(operation) {
-        const format = this.filters.format;
+    /**
+     * Rebuild a chart's scale selector. The baseline choices depend on
+     * which serializers the current format has for that operation.
+     */
+    populateScaleOptions(select, operation) {
+        const serializers = new Set();
+        Object.values(this.data.combined_results[operation] || {}).forEach(sizeData => {
+            Object.keys((sizeData && sizeData[this.filters.format]) || {}).forEach(serializer => serializers.add(serializer));
+        });
 
-        if (!this.data.combined_results || !this.data.combined_results[operation]) {
-            return { labels: [], datasets: [] };
+        // A baseline that does not exist in this format falls back to the fastest
+        const { type, baseline } = this.getScaleMode(operation);
+        if (baseline && !serializers.has(baseline) && this.isFormatLoaded(this.filters.format)) {
+            this.filters.scales[operation] = type;
         }
 
-        const operationData = this.data.combined_results[operation];
-
-        // Combine data from all sizes for this operation and format
-        const combinedData = {};
-
-        ['small', 'medium', 'large'].forEach(size => {
-            if (operationData[size] && operationData[size][format]) {
-                const sizeData = operationData[size][format];
-
-                Object.keys(sizeData).forEach(serializer => {
-                    if (!combinedData[serializer]) {
-                        combinedData[serializer] = {};
-                    }
+        select.innerHTML = `
+            <option value="linear">Linear</option>
+            <option value="log">Logarithmic</option>
+            <option value="relative">Relative to fastest</option>
+            ${serializers.size > 0 ? `
+                <optgroup label="Relative to">
+                    ${Array.from(serializers).sort().map(serializer =>
+                        `<option value="relative:${this.escapeHTML(serializer)}">${this.escapeHTML(this.formatSerializerName(serializer))}</option>`).join('')}
+                </optgroup>
+            ` : ''}
+        `;
+        select.value = this.filters.scales[operation] || 'linear';
+    }
 
-                    Object.keys(sizeData[serializer]).forEach(envKey => {
-                        const envData = sizeData[serializer][envKey];
-                        const env = this.data.environments[envKey];
+    /**
+     * Serializers with results in a format for any operation and size, or
+     * in any format when none is given
+     */
+    getAvailableSerializers(format = this.filters.format) {
+        if (this.data.formats) {
+            const formats = format ? [this.data.formats[format]] : Object.values(this.data.formats);
+            return Array.from(new Set(formats.flatMap(entry => entry ? entry.serializers : []))).sort();
+        }
 
-                        if (this.shouldIncludeEnvironment(env)) {
-                            const label = `${env.ruby_version} (${size})`;
-                            combinedData[serializer][label] = envData;
-                        }
-                    });
+        const serializers = new Set();
+        Object.values(this.data.combined_results).forEach(operationData => {
+            Object.values(operationData || {}).forEach(sizeData => {
+                Object.entries(sizeData || {}).forEach(([dataFormat, formatData]) => {
+                    if (format && dataFormat !== format) return;
+                    Object.keys(formatData || {}).forEach(serializer => serializers.add(serializer));
                 });
-            }
+            });
         });
-
-        return this.formatChartData(combinedData, operation);
+        return Array.from(serializers).sort();
     }
 
-    shouldIncludeEnvironment(env) {
-        if (!env) return false;
+    /**
+     * Hide or show a serializer on every chart at once. Solo shows only
+     * this serializer in the current format; soloing the serializer that
+     * is already the only one shown brings the others back.
+     */
+    toggleSerializer(serializer, solo = false) {
+        const hidden = this.filters.hiddenSerializers;
+
+        if (solo) {
+            const others = this.getAvailableSerializers().filter(name => name !== serializer);
+            const isSoloed = !hidden.has(serializer) && others.every(name => hidden.has(name));
+            others.forEach(name => isSoloed ? hidden.delete(name) : hidden.add(name));
+            hidden.delete(serializer);
+        } else if (hidden.has(serializer)) {
+            hidden.delete(serializer);
+        } else {
+            hidden.add(serializer);
+        }
 
-        // Use os-arch combination for platform matching
-        const platformKey = `${env.os}-${env.arch}`;
-        const platformMatch = this.filters.platforms.size === 0 ||
-                             this.filters.platforms.has(platformKey);
-        const versionMatch = this.filters.rubyVersions.size === 0 ||
-                            this.filters.rubyVersions.has(env.ruby_version);
+        this.renderSerializerToggles();
+        this.applyFilters();
+    }
 
-        return platformMatch && versionMatch;
+    renderSerializerToggles() {
+        const container = document.getElementById('serializer-toggles');
+        if (!container) return;
+
+        const serializers = this.getAvailableSerializers();
+        const hiddenCount = serializers.filter(serializer => this.filters.hiddenSerializers.has(serializer)).length;
+
+        container.innerHTML = serializers.map(serializer => {
+            const name = this.escapeHTML(this.formatSerializerName(serializer));
+            const shown = !this.filters.hiddenSerializers.has(serializer);
+            return `
+                <button type="button" class="serializer-toggle" data-serializer="${this.escapeHTML(serializer)}" aria-pressed="${shown}"
+                        title="${shown ? 'Hide' : 'Show'} ${name} on every chart. Alt-click to show only ${name}.">
+                    <span class="serializer-swatch" style="background: ${this.getSerializerColor(serializer, 1)}"></span>
+                    ${name}
+                </button>
+            `;
+        }).join('') + (hiddenCount > 0
+            ? `<button type="button" class="serializer-toggle-reset" data-show-all>Show all (${hiddenCount} hidden)</button>`
+            : '');
     }
 
-    formatChartData(data, operation) {
-        const serializers = Object.keys(data);
-        if (serializers.length === 0) {
-            return { labels: [], datasets: [] };
+    /**
+     * Filters on environment attributes that allow any combination of
+     * values. Each entry names the filter set it edits, its URL parameter,
+     * the multi-select container in the filter bar, and how to read its
+     * values from an environment. An environment matches when it has any
+     * selected value, or every selected value for `requireAll` filters
+     * (tags), where an empty selection means no restriction. Different
+     * filters are always combined with AND.
+     */
+    getMultiSelectFilters() {
+        return [
+            {
+                key: 'platforms',
+                param: 'platforms',
+                id: 'platform-filter',
+                noun: 'platforms',
+                options: () => this.getAvailablePlatforms(),
+                label: platform => platform,
+                environmentValues: env => [`${env.os}-${env.arch}`]
+            },
+            {
+                key: 'rubyTypes',
+                param: 'engines',
+                id: 'ruby-type-filter',
+                noun: 'types',
+                options: () => this.getAvailableRubyEngines(),
+                label: engine => this.formatRubyEngine(engine),
+                environmentValues: env => [this.getRubyEngine(env)]
+            },
+            {
+                key: 'rubyVersions',
+                param: 'versions',
+                id: 'ruby-version-filter',
+                noun: 'versions',
+                options: () => this.getAvailableRubyVersions(),
+                label: version => `Ruby ${version}`,
+                environmentValues: env => [env.ruby_version]
+            },
+            {
+                key: 'kinds',
+                param: 'kinds',
+                id: 'kind-filter',
+                noun: 'kinds',
+                options: () => this.getAvailableKinds(),
+                label: kind => ({ local: 'Local', docker: 'Docker', asdf: 'ASDF' })[kind] || kind,
+                environmentValues: env => [this.getEnvironmentKind(env)]
+            },
+            {
+                key: 'tags',
+                param: 'tags',
+                id: 'tag-filter',
+                noun: 'tags',
+                requireAll: true,
+                options: () => this.getAvailableTags(),
+                label: tag => tag,
+                environmentValues: env => env.tags || []
+            }
+        ];
+    }
+
+    matchesMultiSelect(config, env, selected = this.filters[config.key]) {
+        const values = config.environmentValues(env);
+        if (config.requireAll) {
+            return Array.from(selected).every(value => values.includes(value));
         }
+        return values.some(value => selected.has(value));
+    }
 
-        // Get all unique labels
-        const allLabels = new Set();
-        serializers.forEach(serializer => {
-            Object.keys(data[serializer]).forEach(label => allLabels.add(label));
-        });
+    /**
+     * Environments that would match if `value` were the only choice for this
+     * filter, or, for `requireAll` filters, if it were added to the selection.
+     */
+    countMatchingEnvironments(config, value) {
+        const others = this.getMultiSelectFilters().filter(other => other.key !== config.key);
+        return Object.values(this.data.environments || {}).filter(env =>
+            config.environmentValues(env).includes(value) &&
+            (!config.requireAll || this.matchesMultiSelect(config, env)) &&
+            others.every(other => this.matchesMultiSelect(other, env))
+        ).length;
+    }
 
-        const labels = Array.from(allLabels).sort();
+    /**
+     * Wire up a multi-select dropdown: a toggle button opening a listbox of
+     * checkable options with "all"/"none" shortcuts, plus removable chips
+     * for the current selection. The listbox is keyboard operable with the
+     * arrow keys, Home/End, Space/Enter to toggle and Escape to close.
+     */
+    setupMultiSelect(config) {
+        const container = document.getElementById(config.id);
+        if (!container) return;
+
+        const toggle = container.querySelector('.multi-select-toggle');
+        const menu = container.querySelector('.multi-select-menu');
+        const listbox = container.querySelector('[role="listbox"]');
+        const options = () => Array.from(listbox.querySelectorAll('[role="option"]'));
+
+        const setOpen = (open) => {
+            menu.hidden = !open;
+            toggle.setAttribute('aria-expanded', String(open));
+        };
 
-        // Create datasets
-        const datasets = serializers.map((serializer, index) => {
-            const serializerData = data[serializer];
+        const update = (values) => {
+            this.filters[config.key] = new Set(values);
+            this.renderMultiSelect(config);
+            this.getMultiSelectFilters()
+                .filter(other => other.key !== config.key)
+                .forEach(other => this.renderMultiSelect(other));
+            this.applyFilters();
+        };
 
-            const values = labels.map(label => {
-                const envData = serializerData[label];
-                if (!envData) return 0;
+        const toggleValue = (value) => {
+            const values = new Set(this.filters[config.key]);
+            if (values.has(value)) {
+                values.delete(value);
+            } else {
+                values.add(value);
+            }
+            update(values);
+        };
 
-                if (operation === 'memory') {
-                    return envData.allocated_memory ? envData.allocated_memory / 1024 / 1024 : 0;
-                } else {
-                    return envData.iterations_per_second || 0;
-                }
-            });
+        toggle.addEventListener('click', () => setOpen(menu.hidden));
+        toggle.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                setOpen(true);
+                const first = options()[0];
+                if (first) first.focus();
+            }
+        });
 
-            return {
-                label: this.formatSerializerName(serializer),
-                data: values,
-                backgroundColor: this.getSerializerColor(serializer, 0.8),
-                borderColor: this.getSerializerColor(serializer, 1),
-                borderWidth: 2,
-                borderRadius: 4,
-                borderSkipped: false,
-            };
+        menu.addEventListener('click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) {
+                toggleValue(option.dataset.value);
+                return;
+            }
+            const action = e.target.closest('[data-select]');
+            if (action) {
+                update(action.dataset.select === 'all' ? config.options() : []);
+            }
         });
 
-        return { labels, datasets };
-    }
+        listbox.addEventListener('keydown', (e) => {
+            const items = options();
+            const index = items.indexOf(document.activeElement);
+            const focusAt = (i) => {
+                if (items.length > 0) items[(i + items.length) % items.length].focus();
+            };
 
-    formatSerializerName(serializer) {
-        const nameMap = {
-            'rexml': 'REXML',
-            'ox': 'Ox',
-            'nokogiri': 'Nokogiri',
-            'json': 'JSON',
-            'oj': 'Oj',
-            'rapidjson': 'RapidJSON',
-            'yajl': 'YAJL',
-            'psych': 'Psych',
-            'syck': 'Syck',
-            'toml-rb': 'TOML-RB',
-            'tomlib': 'Tomlib'
-        };
-        return nameMap[serializer] || serializer.toUpperCase();
-    }
+            switch (e.key) {
+                case 'ArrowDown':
+                    focusAt(index + 1);
+                    break;
+                case 'ArrowUp':
+                    focusAt(index - 1);
+                    break;
+                case 'Home':
+                    focusAt(0);
+                    break;
+                case 'End':
+                    focusAt(items.length - 1);
+                    break;
+                case ' ':
+                case 'Enter':
+                    if (index >= 0) toggleValue(items[index].dataset.value);
+                    break;
+                case 'Escape':
+                    setOpen(false);
+                    toggle.focus();
+                    break;
+                default:
+                    return;
+            }
+            e.preventDefault();
+        });
 
-    getSerializerColor(serializer, alpha = 1) {
-        const colors = {
-            'rexml': `rgba(239, 68, 68, ${alpha})`,    // red
-            'ox': `rgba(249, 115, 22, ${alpha})`,      // orange
-            'nokogiri': `rgba(34, 197, 94, ${alpha})`, // green
-            'json': `rgba(59, 130, 246, ${alpha})`,    // blue
-            'oj': `rgba(147, 51, 234, ${alpha})`,      // purple
-            'rapidjson': `rgba(236, 72, 153, ${alpha})`, // pink
-            'yajl': `rgba(14, 165, 233, ${alpha})`,    // sky
-            'psych': `rgba(16, 185, 129, ${alpha})`,   // emerald
-            'syck': `rgba(245, 158, 11, ${alpha})`,    // amber
-            'toml-rb': `rgba(168, 85, 247, ${alpha})`, // violet
-            'tomlib': `rgba(6, 182, 212, ${alpha})`    // cyan
-        };
+        container.querySelector('.filter-chips').addEventListener('click', (e) => {
+            const remove = e.target.closest('[data-remove]');
+            if (!remove) return;
+            const values = new Set(this.filters[config.key]);
+            values.delete(remove.dataset.remove);
+            update(values);
+        });
 
-        return colors[serializer] || `rgba(107, 114, 128, ${alpha})`;
+        // Choosing an option re-renders the list, detaching the clicked node
+        // before this runs, so check the event path rather than the target
+        document.addEventListener('click', (e) => {
+            if (!menu.hidden && !e.composedPath().includes(container)) {
+                setOpen(false);
+            }
+        });
+        container.addEventListener('focusout', (e) => {
+            if (!menu.hidden && e.relatedTarget && !container.contains(e.relatedTarget)) {
+                setOpen(false);
+            }
+        });
     }
 
-    getChartOptions(operation) {
-        const isDark = this.theme === 'dark';
-        const textColor = isDark ? '#CBD5E1' : '#334155';
-        const gridColor = isDark ? '#475569' : '#E2E8F0';
+    renderMultiSelect(config) {
+        const container = document.getElementById(config.id);
+        if (!container) return;
+
+        const available = config.options();
+        const selected = this.filters[config.key];
+        const listbox = container.querySelector('[role="listbox"]');
+        // Re-rendering replaces the options, so remember which one had focus
+        const focused = listbox.contains(document.activeElement) ? document.activeElement.dataset.value : null;
+
+        const count = available.filter(value => selected.has(value)).length;
+        const toggle = container.querySelector('.multi-select-toggle');
+        if (config.requireAll) {
+            toggle.textContent = count === 0 ? `Any ${config.noun}` : `${count} ${config.noun} required`;
+        } else {
+            toggle.textContent = count === available.length
+                ? `All ${config.noun}`
+                : (count === 0 ? `No ${config.noun}` : `${count} of ${available.length} ${config.noun}`);
+        }
 
+        const escape = (text) => this.escapeHTML(text);
+        listbox.innerHTML = available.map(value => `
+            <li role="option" tabindex="-1" data-value="${escape(value)}" aria-selected="${selected.has(value)}">
+                <span class="multi-select-check" aria-hidden="true"></span>
+                <span class="multi-select-label">${escape(config.label(value))}</span>
+                <span class="multi-select-count" title="Matching environments">${this.countMatchingEnvironments(config, value)}</span>
+            </li>
+        `).join('');
+
+        // Chips are only useful for a partial selection
+        const chips = count === available.length && !config.requireAll
+            ? []
+            : available.filter(value => selected.has(value));
+        container.querySelector('.filter-chips').innerHTML = chips.map(value => `
+            <span class="filter-chip">
+                ${escape(config.label(value))}
+                <button type="button" data-remove="${escape(value)}" aria-label="Remove ${escape(config.label(value))}">×</button>
+            </span>
+        `).join('');
+
+        if (focused) {
+            const option = Array.from(listbox.querySelectorAll('[role="option"]'))
+                .find(element => element.dataset.value === focused);
+            if (option) option.focus();
+        }
+    }
+
+    // Chart Management
+    createCharts() {
+        if (this.filters.view === 'heatmap') {
+            this.updateHeatmaps();
+            return;
+        }
+
+        const operations = ['parsing', 'generation', 'memory', 'streaming'];
+
+        operations.forEach(operation => {
+            const panels = this.getChartPanels(operation);
+            this.ensureChartCanvases(operation, panels);
+            panels.forEach(panel => this.createChart(panel));
+        });
+    }
+
+    /**
+     * Work out which charts an operation card shows for the current filters:
+     * one chart for a single data size or the combined view, or one chart per
+     * data size in the small-multiples layout.
+     */
+    getChartPanels(operation) {
+        const dataSize = this.filters.dataSize;
+        const splitBySize = this.filters.chartMode === 'multiples' || ['trend', 'heatmap'].includes(this.filters.view);
+
+        // Trends and heatmaps are always drawn per data size; mixing sizes on
+        // one time axis, or in one row of a heatmap, is meaningless
+        if (dataSize === 'all' && splitBySize) {
+            return this.getAvailableDataSizes().map(size => ({
+                id: `${operation}-${size}`,
+                operation,
+                size
+            }));
+        }
+
+        return [{
+            id: operation,
+            operation,
+            size: dataSize === 'all' ? null : dataSize
+        }];
+    }
+
+    /**
+     * Make sure an operation card holds exactly one canvas per panel,
+     * rebuilding its chart containers when the layout changes.
+     */
+    ensureChartCanvases(operation, panels) {
+        const card = document.querySelector(`.chart-card[data-operation="${operation}"]`);
+        if (!card) return;
+
+        const wanted = panels.map(panel => `chart-${panel.id}`);
+        const existing = Array.from(card.querySelectorAll('.chart-container canvas')).map(canvas => canvas.id);
+        if (wanted.join() === existing.join()) return;
+
+        card.querySelectorAll('.chart-container').forEach(container => container.remove());
+        card.classList.toggle('chart-card-multiples', panels.length > 1);
+
+        panels.forEach(panel => {
+            const container = document.createElement('div');
+            container.className = 'chart-container';
+            const canvas = document.createElement('canvas');
+            canvas.id = `chart-${panel.id}`;
+            container.appendChild(canvas);
+            card.appendChild(container);
+        });
+    }
+
+    getAvailableDataSizes() {
+        // Known sizes keep their natural order; anything else follows alphabetically
+        const order = { small: 0, medium: 1, large: 2 };
+        const sizes = new Set(this.data.data_sizes);
+
+        Object.values(this.data.combined_results || {}).forEach(operationData => {
+            Object.keys(operationData || {}).forEach(size => sizes.add(size));
+        });
+
+        return Array.from(sizes).sort((a, b) => {
+            const rankA = a in order ? order[a] : Infinity;
+            const rankB = b in order ? order[b] : Infinity;
+            return rankA === rankB ? a.localeCompare(b) : rankA - rankB;
+        });
+    }
+
+    createChart(panel) {
+        const { operation, size } = panel;
+        const canvas = document.getElementById(`chart-${panel.id}`);
+        if (!canvas) {
+            console.warn(`Canvas not found for chart: ${panel.id}`);
+            return;
+        }
+
+        // Clear any existing error message and show canvas
+        this.clearChartError(canvas);
+
+        if (!this.isChartLibraryLoaded()) {
+            this.showChartError(canvas, this.getChartLibraryError());
+            return;
+        }
+
+        const data = this.getFilteredChartData(operation, size);
+
+        if (!data || data.datasets.length === 0) {
+            this.showChartError(canvas, `No data available for ${this.describeChart(operation, size)}`);
+            return;
+        }
+
+        try {
+            const chart = SerialbenchCharts.createChart(canvas, {
+                type: this.getChartType(),
+                data: data,
+                options: this.getChartOptions(operation, size),
+                plugins: [this.getErrorBarPlugin()]
+            });
+
+            this.charts.set(panel.id, chart);
+            this.chartPanels.set(panel.id, panel);
+            console.log(`📊 Created chart for ${panel.id}`);
+            this.emit('chart:created', { id: panel.id, panel, canvas, chart });
+
+        } catch (error) {
+            console.error(`Failed to create chart for ${panel.id}:`, error);
+            this.showChartError(canvas, `Failed to load ${this.describeChart(operation, size)} chart`, error);
+        }
+    }
+
+    // Chart.js is loaded from a CDN unless the report was built as a single file
+    isChartLibraryLoaded() {
+        return SerialbenchCharts.isChartJsLoaded();
+    }
+
+    getChartLibraryError() {
+        return 'Charts are unavailable because the Chart.js library could not be loaded. ' +
+            'To view this report offline, generate it with build-site --single-file.';
+    }
+
+    /**
+     * Chart.js has no error bars, so draw them over each bar or point from
+     * the dataset's errorBars, and mark values that are not significantly
+     * different from the reference serializer with "n.s.".
+     */
+    getErrorBarPlugin() {
         return {
-            responsive: true,
-            maintainAspectRatio: false,
-            interaction: {
-                intersect: false,
-                mode: 'index'
-            },
-            plugins: {
-                title: {
-                    display: true,
-                    text: this.getChartTitle(operation),
-                    color: textColor,
-                    font: {
-                        size: 16,
-                        weight: 'bold'
-                    },
-                    padding: 20
-                },
-                legend: {
-                    position: 'top',
-                    labels: {
-                        color: textColor,
-                        usePointStyle: true,
-                        padding: 15
-                    }
-                },
-                tooltip: {
-                    backgroundColor: isDark ? '#1E293B' : '#FFFFFF',
-                    titleColor: textColor,
-                    bodyColor: textColor,
-                    borderColor: isDark ? '#475569' : '#E2E8F0',
-                    borderWidth: 1,
-                    cornerRadius: 8,
-                    displayColors: true,
-                    callbacks: {
-                        label: (context) => {
-                            const value = context.parsed.y;
-                            const unit = operation === 'memory' ? 'MB' : 'ops/sec';
-                            return `${context.dataset.label}: ${value.toLocaleString()} ${unit}`;
+            id: 'serialbenchErrorBars',
+            afterDatasetsDraw: (chart) => {
+                const { ctx, scales: { y } } = chart;
+                const color = SerialbenchCharts.getThemeColors(this.theme).text;
+
+                ctx.save();
+                ctx.strokeStyle = color;
+                ctx.fillStyle = color;
+                ctx.lineWidth = 1.5;
+                ctx.font = '10px sans-serif';
+                ctx.textAlign = 'center';
+
+                chart.data.datasets.forEach((dataset, datasetIndex) => {
+                    if (!dataset.errorBars || !chart.isDatasetVisible(datasetIndex)) return;
+
+                    chart.getDatasetMeta(datasetIndex).data.forEach((element, index) => {
+                        const bar = dataset.errorBars[index];
+                        if (!bar || !element) return;
+
+                        const top = y.getPixelForValue(bar[1]);
+                        const bottom = y.getPixelForValue(bar[0]);
+                        const capWidth = Math.min(6, (element.width || 12) / 3);
+
+                        ctx.beginPath();
+                        ctx.moveTo(element.x, top);
+                        ctx.lineTo(element.x, bottom);
+                        ctx.moveTo(element.x - capWidth, top);
+                        ctx.lineTo(element.x + capWidth, top);
+                        ctx.moveTo(element.x - capWidth, bottom);
+                        ctx.lineTo(element.x + capWidth, bottom);
+                        ctx.stroke();
+
+                        if (dataset.notSignificant && dataset.notSignificant[index]) {
+                            ctx.fillText('n.s.', element.x, Math.min(top, element.y) - 4);
                         }
+                    });
+                });
+
+                ctx.restore();
+            }
+        };
+    }
+
+    getChartType() {
+        return this.filters.view === 'trend' ? 'line' : 'bar';
+    }
+
+    describeChart(operation, size) {
+        return size ? `${operation} (${size})` : operation;
+    }
+
+    /**
+     * Collect chart data for an operation in the current format. With a
+     * data size only that size is plotted; without one every size is merged
+     * into a single chart, labelled by environment and size.
+     */
+    getFilteredChartData(operation, size = null) {
+        const format = this.filters.format;
+
+        if (this.filters.view === 'trend') {
+            return this.applyScaleMode(this.getTrendChartData(operation, size), operation);
+        }
+
+        if (!this.data.combined_results || !this.data.combined_results[operation]) {
+            return { labels: [], datasets: [] };
+        }
+
+        const operationData = this.data.combined_results[operation];
+        const sizes = size ? [size] : this.getAvailableDataSizes();
+
+        // Combine data from the selected sizes for this operation and format
+        const combinedData = {};
+        const labelEnvironments = {};
+
+        sizes.forEach(currentSize => {
+            if (operationData[currentSize] && operationData[currentSize][format]) {
+                const sizeData = operationData[currentSize][format];
+
+                Object.keys(sizeData).forEach(serializer => {
+                    if (!combinedData[serializer]) {
+                        combinedData[serializer] = {};
                     }
+
+                    Object.keys(sizeData[serializer]).forEach(envKey => {
+                        const envData = sizeData[serializer][envKey];
+                        const env = this.data.environments[envKey];
+
+                        if (this.shouldIncludeEnvironment(env)) {
+                            const envLabel = this.getEnvironmentLabel(env);
+                            const label = size ? envLabel : `${envLabel} (${currentSize})`;
+                            combinedData[serializer][label] = envData;
+                            labelEnvironments[label] = envKey;
+                        }
+                    });
+                });
+            }
+        });
+
+        return this.applyScaleMode(this.formatChartData(combinedData, operation, labelEnvironments), operation);
+    }
+
+    /**
+     * Build line chart data for one data size across every run in the
+     * history, one series per serializer and environment. Runs are bucketed
+     * by day so environments benchmarked in the same CI run line up, and
+     * points where the serializer version changed get a distinct marker.
+     */
+    getTrendChartData(operation, size) {
+        const format = this.filters.format;
+        const series = new Map();
+        const dates = new Set();
+
+        this.data.history.forEach(run => {
+            const env = this.data.environments[run.environment];
+            if (!this.shouldIncludeEnvironment(env)) return;
+
+            const runResults = this.getRunResults(run);
+            const operationData = runResults && runResults[operation];
+            const sizeData = operationData && operationData[size] && operationData[size][format];
+            if (!sizeData) return;
+
+            const date = this.getRunDate(run);
+
+            Object.entries(sizeData).forEach(([serializer, envs]) => {
+                const envData = envs[run.environment];
+                if (!envData) return;
+
+                const key = `${serializer}|${run.environment}`;
+                if (!series.has(key)) {
+                    series.set(key, { serializer, env, points: {} });
                 }
-            },
-            scales: {
-                x: {
-                    grid: {
-                        color: gridColor,
-                        drawBorder: false
-                    },
-                    ticks: {
-                        color: textColor,
-                        maxRotation: 45
-                    }
+                series.get(key).points[date] = {
+                    value: this.getMetricValue(envData, operation),
+                    range: this.getMetricRange(envData, operation),
+                    samples: envData.iterations_count || null,
+                    version: (run.serializer_versions || {})[serializer]
+                };
+                dates.add(date);
+            });
+        });
+
+        const labels = Array.from(dates).sort();
+        const environmentCount = new Set(Array.from(series.values()).map(line => line.env)).size;
+        const environmentIndex = new Map();
+
+        const datasets = Array.from(series.values()).map(line => {
+            if (!environmentIndex.has(line.env)) {
+                environmentIndex.set(line.env, environmentIndex.size);
+            }
+
+            const values = labels.map(label => line.points[label] ? line.points[label].value : null);
+            const versions = labels.map(label => line.points[label] ? line.points[label].version : null);
+            const ranges = labels.map(label => line.points[label] ? line.points[label].range : null);
+            const samples = labels.map(label => line.points[label] ? line.points[label].samples : null);
+
+            // Compare each point with the previous measured point of the same series
+            let previousVersion = null;
+            const versionChanges = versions.map(version => {
+                if (!version) return null;
+                const changedFrom = previousVersion && previousVersion !== version ? previousVersion : null;
+                previousVersion = version;
+                return changedFrom;
+            });
+
+            const name = this.formatSerializerName(line.serializer);
+
+            return {
+                label: environmentCount > 1 ? `${name} (${this.getEnvironmentLabel(line.env)})` : name,
+                serializer: line.serializer,
+                hidden: this.filters.hiddenSerializers.has(line.serializer),
+                data: values,
+                ranges,
+                samples,
+                versions,
+                versionChanges,
+                spanGaps: true,
+                tension: 0.2,
+                backgroundColor: this.getSerializerColor(line.serializer, 0.8),
+                borderColor: this.getSerializerColor(line.serializer, 1),
+                borderWidth: 2,
+                borderDash: [[], [6, 4], [2, 3]][
+                    (this.filters.rubyTypes.size > 1
+                        ? this.getEngineIndex(line.env)
+                        : environmentIndex.get(line.env)) % 3
+                ],
+                pointStyle: versionChanges.map(change => change ? 'rectRot' : 'circle'),
+                pointRadius: versionChanges.map(change => change ? 7 : 3),
+                pointHoverRadius: versionChanges.map(change => change ? 9 : 5)
+            };
+        });
+
+        return {
+            labels: labels.map(label => this.formatRunDate(label)),
+            datasets
+        };
+    }
+
+    getRunDate(run) {
+        const date = new Date(run.created_at);
+        return isNaN(date) ? String(run.created_at) : date.toISOString().slice(0, 10);
+    }
+
+    // A YYYY-MM-DD run date in the viewer's locale. Parsing the string would
+    // read it as UTC midnight, the previous day west of UTC, so build a local
+    // date; anything else getRunDate passed through is shown as is.
+    formatRunDate(runDate) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(runDate);
+        return match ? new Date(match[1], match[2] - 1, match[3]).toLocaleDateString() : runDate;
+    }
+
+    hasComparisonData() {
+        return Object.keys(this.data.environments || {}).length > 1;
+    }
+
+    // A run marked snapshot is the one the snapshot shows for its
+    // environment, so its results are not repeated in the history
+    getRunResults(run) {
+        return run.snapshot ? this.data.combined_results : run.results;
+    }
+
+    hasTrendData() {
+        return new Set(this.data.history.map(run => this.getRunDate(run))).size > 1;
+    }
+
+    /**
+     * Short axis label for an environment. The platform is only spelled out
+     * when several platforms are shown, otherwise the Ruby version suffices.
+     */
+    getEnvironmentLabel(env) {
+        const kind = this.filters.kinds.size > 1 ? ` (${this.getEnvironmentKind(env)})` : '';
+        const ruby = this.filters.rubyTypes.size > 1 ? this.describeRuby(env) : env.ruby_version;
+        if (this.filters.platforms.size > 1) {
+            return `${ruby} ${env.os}-${env.arch}${kind}`;
+        }
+        return `${ruby}${kind}`;
+    }
+
+    shouldIncludeEnvironment(env) {
+        if (!env) return false;
+
+        return this.getMultiSelectFilters().every(config => this.matchesMultiSelect(config, env));
+    }
+
+    formatChartData(data, operation, labelEnvironments = {}) {
+        const serializers = Object.keys(data);
+        if (serializers.length === 0) {
+            return { labels: [], datasets: [] };
+        }
+
+        // Get all unique labels
+        const allLabels = new Set();
+        serializers.forEach(serializer => {
+            Object.keys(data[serializer]).forEach(label => allLabels.add(label));
+        });
+
+        const labels = Array.from(allLabels).sort();
+
+        // Create datasets
+        const datasets = serializers.map((serializer, index) => {
+            const serializerData = data[serializer];
+
+            const values = labels.map(label => {
+                const envData = serializerData[label];
+                return envData ? this.getMetricValue(envData, operation) : 0;
+            });
+            const versions = labels.map(label =>
+                serializerData[label] ? this.getSerializerVersion(labelEnvironments[label], serializer) : null);
+            const ranges = labels.map(label =>
+                serializerData[label] ? this.getMetricRange(serializerData[label], operation) : null);
+            const samples = labels.map(label =>
+                serializerData[label] ? serializerData[label].iterations_count || null : null);
+
+            return {
+                label: this.formatSerializerName(serializer),
+                serializer,
+                hidden: this.filters.hiddenSerializers.has(serializer),
+                data: values,
+                ranges,
+                samples,
+                versions,
+                versionsDiffer: new Set(versions.filter(Boolean)).size > 1,
+                // Lighter fills mark environments running another Ruby engine
+                backgroundColor: labels.map(label => this.getSerializerColor(
+                    serializer, this.getEngineAlpha(this.data.environments[labelEnvironments[label]]))),
+                borderColor: this.getSerializerColor(serializer, 1),
+                borderWidth: 2,
+                borderRadius: 4,
+                borderSkipped: false,
+            };
+        });
+
+        return { labels, datasets };
+    }
+
+    /**
+     * Metrics a chart card can plot. Durations stay in seconds and are
+     * scaled per value when formatted; memory is plotted in MB.
+     */
+    // Metric labels, readers and formatting are shared with other chart pages
+    getMetricDefinitions() {
+        return SerialbenchCharts.getMetricDefinitions();
+    }
+
+    getOperationMetrics(operation) {
+        return operation === 'memory'
+            ? ['allocated_memory', 'retained_memory']
+            : ['iterations_per_second', 'time_per_iteration'];
+    }
+
+    /**
+     * Scale modes are 'linear', 'log', 'relative' (to the best serializer
+     * at each label) or 'relative:<serializer>' (to a chosen baseline).
+     */
+    getScaleMode(operation) {
+        const mode = this.filters.scales[operation] || 'linear';
+        const [type, baseline] = mode.split(/:(.*)/s);
+        return { type, baseline: baseline || null };
+    }
+
+    /**
+     * Attach each value's ratio to the reference serializer in the same
+     * group (x-axis label) and, depending on the chart's scale mode, plot
+     * those ratios instead of raw values. Raw values are kept on the
+     * dataset so tooltips can show both.
+     */
+    applyScaleMode(chartData, operation) {
+        const { type, baseline } = this.getScaleMode(operation);
+        const metric = this.getMetricDefinitions()[this.getChartMetric(operation)];
+        const baselineDataset = baseline && chartData.datasets.find(dataset => dataset.serializer === baseline);
+        const isMeasured = (value) => typeof value === 'number' && value > 0;
+
+        const referenceDatasets = chartData.labels.map((label, index) => {
+            if (baseline) {
+                const value = baselineDataset && baselineDataset.data[index];
+                return isMeasured(value) ? baselineDataset : null;
+            }
+            return chartData.datasets
+                .filter(dataset => !dataset.hidden && isMeasured(dataset.data[index]))
+                .reduce((best, dataset) => {
+                    if (!best) return dataset;
+                    const better = metric.higherIsBetter
+                        ? dataset.data[index] > best.data[index]
+                        : dataset.data[index] < best.data[index];
+                    return better ? dataset : best;
+                }, null);
+        });
+        const references = referenceDatasets.map((dataset, index) => dataset ? dataset.data[index] : null);
+
+        chartData.datasets.forEach(dataset => {
+            dataset.rawData = dataset.data.slice();
+            dataset.ratios = dataset.data.map((value, index) =>
+                isMeasured(value) && references[index] ? value / references[index] : null);
+
+            // A value whose spread overlaps the reference's is not a significant difference
+            const ranges = dataset.ranges || [];
+            dataset.notSignificant = dataset.data.map((value, index) => {
+                const reference = referenceDatasets[index];
+                return Boolean(reference && reference !== dataset &&
+                    this.rangesOverlap(ranges[index], (reference.ranges || [])[index]));
+            });
+            dataset.errorBars = ranges.map((range, index) => {
+                if (!range) return null;
+                if (type !== 'relative') return range;
+                return references[index] ? range.map(bound => bound / references[index]) : null;
+            });
+
+            // Neither a log axis nor a ratio can show a missing measurement as zero
+            if (type === 'relative') {
+                dataset.data = dataset.ratios.slice();
+            } else if (type === 'log') {
+                dataset.data = dataset.data.map(value => isMeasured(value) ? value : null);
+            }
+        });
+
+        return chartData;
+    }
+
+    getChartMetric(operation) {
+        const metric = this.filters.metrics[operation];
+        return this.getOperationMetrics(operation).includes(metric) ? metric : this.getOperationMetrics(operation)[0];
+    }
+
+    getMetricValue(envData, operation) {
+        return this.getMetricDefinitions()[this.getChartMetric(operation)].value(envData);
+    }
+
+    getMetricRange(envData, operation) {
+        return this.getMetricDefinitions()[this.getChartMetric(operation)].range(envData);
+    }
+
+    rangesOverlap(a, b) {
+        return Boolean(a && b && a[0] <= b[1] && b[0] <= a[1]);
+    }
+
+    formatSerializerName(serializer) {
+        const metadata = this.data.serializers[serializer];
+        return (metadata && metadata.display_name) || serializer;
+    }
+
+    getSerializerColor(serializer, alpha = 1) {
+        return SerialbenchCharts.toRGBA(this.getSerializerColors().get(serializer), alpha);
+    }
+
+    // One colour per serializer for the whole report, from the shared registry.
+    // Serializers in formats not loaded yet count too, so that colours do not
+    // depend on the order formats are viewed in and match embed.html.
+    getSerializerColors() {
+        if (this.serializerColors) return this.serializerColors;
+
+        const names = new Set([...Object.keys(this.data.serializers), ...this.getAvailableSerializers(null)]);
+        Object.values(this.data.combined_results).forEach(sizes => {
+            Object.values(sizes || {}).forEach(formats => {
+                Object.values(formats || {}).forEach(serializers => {
+                    Object.keys(serializers || {}).forEach(name => names.add(name));
+                });
+            });
+        });
+
+        this.serializerColors = SerialbenchCharts.createColorRegistry(names, this.data.serializers);
+        return this.serializerColors;
+    }
+
+    getChartOptions(operation, size = null) {
+        const metric = this.getMetricDefinitions()[this.getChartMetric(operation)];
+        const scale = this.getScaleMode(operation);
+        const reference = scale.baseline ? this.formatSerializerName(scale.baseline) : 'fastest';
+        const formatRatio = (ratio) => `${ratio.toLocaleString(undefined, { maximumSignificantDigits: 3 })}×`;
+
+        const options = SerialbenchCharts.getChartOptions({
+            theme: this.theme,
+            title: this.getChartTitle(operation, size),
+            valueType: scale.type === 'log' ? 'logarithmic' : 'linear',
+            valueTitle: scale.type === 'relative'
+                ? `${metric.axisTitle} relative to ${reference} (×)`
+                : `${metric.axisTitle}${scale.type === 'log' ? ' (log scale)' : ''}`,
+            formatTick: (value) => scale.type === 'relative' ? formatRatio(value) : metric.format(value)
+        });
+
+        options.interaction = {
+            intersect: false,
+            mode: 'index'
+        };
+
+        // Clicking a bar or point opens its serializer's details; tooltips
+        // cover the whole column, so look for the element under the pointer
+        const getClickedSerializer = (event, chart) => {
+            const [element] = chart.getElementsAtEventForMode(event, 'nearest', { intersect: true }, false);
+            const dataset = element && chart.data.datasets[element.datasetIndex];
+            return dataset ? dataset.serializer : null;
+        };
+        options.onClick = (event, elements, chart) => {
+            const serializer = getClickedSerializer(event, chart);
+            if (serializer) this.openSerializerDetail(serializer);
+        };
+        options.onHover = (event, elements, chart) => {
+            chart.canvas.style.cursor = getClickedSerializer(event, chart) ? 'pointer' : '';
+        };
+
+        // Hide the serializer on every chart, not just this one; shift-click
+        // opens its details instead
+        options.plugins.legend.onClick = (event, item, legend) => {
+            const dataset = legend.chart.data.datasets[item.datasetIndex];
+            if (event.native && event.native.shiftKey) {
+                this.openSerializerDetail(dataset.serializer);
+                return;
+            }
+            this.toggleSerializer(dataset.serializer, Boolean(event.native && event.native.altKey));
+        };
+
+        Object.assign(options.plugins.tooltip, {
+            displayColors: true,
+            // Trend series have gaps where an environment was not benchmarked
+            filter: (item) => item.parsed.y !== null && item.parsed.y !== undefined,
+            callbacks: {
+                label: (context) => {
+                    const { rawData, ratios, versions } = context.dataset;
+                    const value = rawData ? rawData[context.dataIndex] : context.parsed.y;
+                    const ratio = ratios && ratios[context.dataIndex];
+                    const version = versions && versions[context.dataIndex];
+                    return `${context.dataset.label}: ${metric.format(value)}` +
+                        `${ratio ? ` (${formatRatio(ratio)} ${reference})` : ''}` +
+                        `${version ? ` (v${version})` : ''}` +
+                        `${version && context.dataset.versionsDiffer ? ' ⚠ version differs between environments' : ''}`;
                 },
-                y: {
-                    beginAtZero: true,
-                    grid: {
-                        color: gridColor,
-                        drawBorder: false
-                    },
-                    ticks: {
-                        color: textColor,
-                        callback: function(value) {
-                            if (operation === 'memory') {
-                                return value.toLocaleString() + ' MB';
-                            } else {
-                                return value.toLocaleString() + ' ops/sec';
-                            }
-                        }
-                    },
-                    title: {
-                        display: true,
-                        text: operation === 'memory' ? 'Memory Usage (MB)' : 'Operations per Second',
-                        color: textColor,
-                        font: {
-                            weight: 'bold'
-                        }
+                afterLabel: (context) => {
+                    const { versionChanges, ranges, samples, notSignificant } = context.dataset;
+                    const index = context.dataIndex;
+                    const lines = [];
+                    const range = ranges && ranges[index];
+                    const sampleCount = samples && samples[index];
+                    if (range || sampleCount) {
+                        lines.push(`  ${sampleCount ? `n = ${sampleCount.toLocaleString()}` : ''}` +
+                            `${range && sampleCount ? ', ' : ''}` +
+                            `${range ? `range ${metric.format(range[0])} – ${metric.format(range[1])}` : ''}`);
+                    }
+                    if (notSignificant && notSignificant[index]) {
+                        lines.push(`  ≈ not significantly different from ${reference}`);
                     }
+                    const changedFrom = versionChanges && versionChanges[index];
+                    if (changedFrom) {
+                        lines.push(`  ↳ upgraded from v${changedFrom}`);
+                    }
+                    return lines;
                 }
-            },
-            animation: {
-                duration: 750,
-                easing: 'easeInOutQuart'
             }
-        };
+        });
+
+        return options;
     }
 
-    getChartTitle(operation) {
+    getChartTitle(operation, size = null) {
         const format = this.filters.format.toUpperCase();
         const titles = {
             'parsing': `${format} Parsing Performance`,
@@ -519,109 +1670,1131 @@ class SerialBenchDashboard {
             'memory': `${format} Memory Usage`,
             'streaming': `${format} Streaming Performance`
         };
-        return titles[operation] || `${format} ${operation}`;
+        const title = titles[operation] || `${format} ${operation}`;
+        return size ? `${title} (${size})` : title;
     }
 
     updateCharts() {
+        if (this.filters.view === 'heatmap') {
+            this.updateHeatmaps();
+            return;
+        }
+
         const operations = ['parsing', 'generation', 'memory', 'streaming'];
 
         operations.forEach(operation => {
-            try {
-                console.log(`🔄 Updating chart for ${operation}...`);
-                const chart = this.charts.get(operation);
-                const newData = this.getFilteredChartData(operation);
-                console.log(`📊 Data for ${operation}:`, newData.datasets.length, 'datasets');
-
-                if (newData.datasets.length === 0) {
-                    console.log(`❌ No data for ${operation}, destroying chart`);
-                    // Destroy existing chart and show error
-                    if (chart) {
-                        chart.destroy();
-                        this.charts.delete(operation);
-                    }
-                    const canvas = document.getElementById(`chart-${operation}`);
-                    if (canvas) {
-                        this.showChartError(canvas, `No data available for ${operation}`);
-                    }
-                    return;
+            const panels = this.getChartPanels(operation);
+
+            // Drop charts that belong to a previous layout of this card
+            const panelIds = panels.map(panel => panel.id);
+            this.chartPanels.forEach((panel, id) => {
+                if (panel.operation === operation && !panelIds.includes(id)) {
+                    this.destroyChart(id);
                 }
+            });
+            this.ensureChartCanvases(operation, panels);
+
+            panels.forEach(panel => this.updateChart(panel));
+        });
+    }
+
+    updateChart(panel) {
+        const { operation, size } = panel;
+
+        try {
+            console.log(`🔄 Updating chart for ${panel.id}...`);
+            const chart = this.charts.get(panel.id);
+            const newData = this.getFilteredChartData(operation, size);
+            console.log(`📊 Data for ${panel.id}:`, newData.datasets.length, 'datasets');
+
+            if (newData.datasets.length === 0) {
+                console.log(`❌ No data for ${panel.id}, destroying chart`);
+                // Destroy existing chart and show error
+                this.destroyChart(panel.id);
+                const canvas = document.getElementById(`chart-${panel.id}`);
+                if (canvas) {
+                    this.showChartError(canvas, `No data available for ${this.describeChart(operation, size)}`);
+                }
+                return;
+            }
+
+            // Check if chart exists and canvas is valid
+            if (!chart || !chart.canvas || !chart.canvas.isConnected || !chart.canvas.getContext ||
+                chart.config.type !== this.getChartType()) {
+                console.log(`🔧 Recreating chart for ${panel.id}`);
+                // Recreate chart if it was destroyed or canvas was replaced
+                this.destroyChart(panel.id);
+                this.createChart(panel);
+                return;
+            }
+
+            console.log(`✅ Updating existing chart for ${panel.id}`);
+            this.clearChartError(chart.canvas);
+            chart.data = newData;
+            chart.options = this.getChartOptions(operation, size);
+            chart.update('active');
+            this.emit('chart:updated', { id: panel.id, panel, canvas: chart.canvas, chart });
+
+        } catch (error) {
+            console.error(`❌ Error updating chart for ${panel.id}:`, error);
+            // Try to recreate the chart
+            try {
+                this.destroyChart(panel.id);
+                this.createChart(panel);
+            } catch (recreateError) {
+                console.error(`❌ Failed to recreate chart for ${panel.id}:`, recreateError);
+            }
+        }
+    }
+
+    destroyChart(id) {
+        const chart = this.charts.get(id);
+        if (chart) {
+            chart.destroy();
+        }
+        this.charts.delete(id);
+        this.chartPanels.delete(id);
+    }
+
+    updateChartsTheme() {
+        this.charts.forEach((chart, id) => {
+            const panel = this.chartPanels.get(id);
+            chart.options = this.getChartOptions(panel.operation, panel.size);
+            chart.update('none');
+        });
+
+        if (this.comparisonChart) {
+            this.comparisonChart.options = this.getComparisonChartOptions();
+            this.comparisonChart.update('none');
+        }
+    }
+
+    // Heatmaps
+    // Each operation card shows one heatmap per data size in place of its charts
+    updateHeatmaps() {
+        ['parsing', 'generation', 'memory', 'streaming'].forEach(operation => {
+            const card = document.querySelector(`.chart-card[data-operation="${operation}"]`);
+            if (!card) return;
+
+            this.chartPanels.forEach((panel, id) => {
+                if (panel.operation === operation) {
+                    this.destroyChart(id);
+                }
+            });
+            card.querySelectorAll('.chart-container').forEach(container => container.remove());
+            card.classList.remove('chart-card-multiples');
+
+            this.getChartPanels(operation).forEach(panel => {
+                const container = document.createElement('div');
+                container.className = 'chart-container heatmap-container';
+                container.dataset.operation = operation;
+                container.dataset.size = panel.size;
+                container.innerHTML = this.renderHeatmap(panel);
+                card.appendChild(container);
+            });
+        });
+    }
+
+    /**
+     * Serializers by environment for one operation and data size. A cell's
+     * score is its value relative to the serializer's best environment, so
+     * 1 marks where that serializer does best and lower scores do worse.
+     */
+    getHeatmapData(operation, size) {
+        const operationData = this.data.combined_results[operation] || {};
+        const sizeData = (operationData[size] && operationData[size][this.filters.format]) || {};
+        const metric = this.getMetricDefinitions()[this.getChartMetric(operation)];
+
+        const serializers = Object.keys(sizeData)
+            .filter(serializer => !this.filters.hiddenSerializers.has(serializer))
+            .sort();
+        const environments = this.getSortedEnvironmentKeys().filter(envKey =>
+            this.shouldIncludeEnvironment(this.data.environments[envKey]) &&
+            serializers.some(serializer => sizeData[serializer][envKey]));
+
+        const rows = serializers.map(serializer => {
+            const values = environments.map(envKey => {
+                const envData = sizeData[serializer][envKey];
+                const value = envData ? this.getMetricValue(envData, operation) : 0;
+                return value > 0 ? value : null;
+            });
+            const measured = values.filter(value => value !== null);
+            const best = metric.higherIsBetter ? Math.max(...measured) : Math.min(...measured);
+
+            return {
+                serializer,
+                cells: values.map((value, index) => ({
+                    envKey: environments[index],
+                    value,
+                    score: value === null ? null : (metric.higherIsBetter ? value / best : best / value)
+                }))
+            };
+        });
+
+        return { environments, rows, metric };
+    }
+
+    renderHeatmap(panel) {
+        const { operation, size } = panel;
+        const { environments, rows, metric } = this.getHeatmapData(operation, size);
+
+        const escape = (text) => this.escapeHTML(text);
+        if (environments.length === 0 || rows.length === 0) {
+            return `<div class="chart-error"><span>No data available for ${escape(this.describeChart(operation, size))}</span></div>`;
+        }
+
+        const header = environments.map(envKey => `
+            <th scope="col" title="${escape(this.describeEnvironment(envKey))}">${escape(this.getEnvironmentLabel(this.data.environments[envKey]))}</th>
+        `).join('');
+
+        const body = rows.map(row => {
+            const name = escape(this.formatSerializerName(row.serializer));
+            const cells = row.cells.map(cell => {
+                if (cell.value === null) {
+                    return '<td class="heatmap-empty">—</td>';
+                }
+                return `
+                    <td style="background: ${this.getHeatmapColor(cell.score)}">
+                        <button type="button" class="heatmap-cell" aria-expanded="false"
+                                data-serializer="${escape(row.serializer)}" data-environment="${escape(cell.envKey)}"
+                                title="${name} on ${escape(this.describeEnvironment(cell.envKey))}: ${metric.format(cell.value)}">
+                            ${Math.round(cell.score * 100)}%
+                        </button>
+                    </td>
+                `;
+            }).join('');
+            return `
+                <tr>
+                    <th scope="row">
+                        <button type="button" class="heatmap-serializer" data-serializer-detail="${escape(row.serializer)}"
+                                title="Show all ${name} results">${name}</button>
+                    </th>
+                    ${cells}
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <table class="heatmap">
+                <caption>${escape(this.getChartTitle(operation, size))}: ${metric.label} as a share of each serializer's best environment</caption>
+                <thead><tr><th scope="col">Serializer</th>${header}</tr></thead>
+                <tbody>${body}</tbody>
+            </table>
+            <div class="heatmap-details" aria-live="polite" hidden></div>
+        `;
+    }
+
+    // Stronger green for environments closer to the serializer's best
+    getHeatmapColor(score) {
+        return `rgba(16, 185, 129, ${(0.1 + 0.8 * score).toFixed(2)})`;
+    }
+
+    toggleHeatmapDetails(cell) {
+        const container = cell.closest('.heatmap-container');
+        const details = container.querySelector('.heatmap-details');
+        const wasOpen = cell.getAttribute('aria-expanded') === 'true';
+
+        container.querySelectorAll('.heatmap-cell[aria-expanded="true"]').forEach(open => {
+            open.setAttribute('aria-expanded', 'false');
+        });
+        if (wasOpen) {
+            details.hidden = true;
+            return;
+        }
+
+        const { operation, size } = container.dataset;
+        const { serializer, environment } = cell.dataset;
+        const envData = this.data.combined_results[operation][size][this.filters.format][serializer][environment];
+        const metric = this.getMetricDefinitions()[this.getChartMetric(operation)];
+        const range = this.getMetricRange(envData, operation);
+        const version = this.getSerializerVersion(environment, serializer);
+        const row = this.getHeatmapData(operation, size).rows.find(entry => entry.serializer === serializer);
+        const score = row.cells.find(entry => entry.envKey === environment).score;
+
+        const escape = (text) => this.escapeHTML(text);
+        details.innerHTML = `
+            <h4>${escape(this.formatSerializerName(serializer))} on ${escape(this.describeEnvironment(environment))}</h4>
+            <dl>
+                <dt>${metric.label}</dt><dd>${metric.format(this.getMetricValue(envData, operation))}</dd>
+                <dt>Of best environment</dt><dd>${Math.round(score * 100)}%</dd>
+                ${range ? `<dt>Range</dt><dd>${metric.format(range[0])} – ${metric.format(range[1])}</dd>` : ''}
+                ${envData.iterations_count ? `<dt>Samples</dt><dd>${envData.iterations_count.toLocaleString()}</dd>` : ''}
+                ${version ? `<dt>Version</dt><dd>${escape(version)}</dd>` : ''}
+            </dl>
+        `;
+        details.hidden = false;
+        cell.setAttribute('aria-expanded', 'true');
+    }
+
+    // Serializer Details
+    setupSerializerDetail() {
+        const overlay = document.getElementById('serializer-detail');
+        if (!overlay) return;
+
+        // Clicking the backdrop or the close button dismisses the dialog
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay || e.target.closest('[data-close-detail]')) {
+                this.closeSerializerDetail();
+            }
+        });
+
+        overlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.closeSerializerDetail();
+                return;
+            }
+
+            // Keep focus inside the dialog while it is open
+            if (e.key === 'Tab') {
+                const focusable = overlay.querySelectorAll('a[href], button:not([disabled])');
+                const first = focusable[0];
+                const last = focusable[focusable.length - 1];
+                if (e.shiftKey && document.activeElement === first) {
+                    e.preventDefault();
+                    last.focus();
+                } else if (!e.shiftKey && document.activeElement === last) {
+                    e.preventDefault();
+                    first.focus();
+                }
+            }
+        });
+    }
+
+    openSerializerDetail(serializer) {
+        if (!serializer || this.filters.detail === serializer) return;
+
+        this.detailReturnFocus = this.detailReturnFocus || document.activeElement;
+        this.filters.detail = serializer;
+        this.updateSerializerDetail();
+        this.updateURL();
+    }
+
+    closeSerializerDetail() {
+        if (!this.filters.detail) return;
+
+        this.filters.detail = null;
+        this.updateSerializerDetail();
+        this.updateURL();
+
+        if (this.detailReturnFocus && this.detailReturnFocus.isConnected) {
+            this.detailReturnFocus.focus();
+        }
+        this.detailReturnFocus = null;
+    }
+
+    /**
+     * Show the details dialog for filters.detail, or hide it when there is
+     * none. The serializer's format may not be the one on screen (a shared
+     * link), so its results are fetched first when needed.
+     */
+    async updateSerializerDetail() {
+        const overlay = document.getElementById('serializer-detail');
+        if (!overlay) return;
+
+        const serializer = this.filters.detail;
+        if (!serializer) {
+            overlay.hidden = true;
+            return;
+        }
+
+        const format = this.getSerializerFormat(serializer);
+        const title = document.getElementById('serializer-detail-title');
+        const body = document.getElementById('serializer-detail-body');
+        title.innerHTML = `${this.formatSerializerLink(serializer)} <span class="serializer-detail-format">${this.escapeHTML((format || '').toUpperCase())}</span>`;
+
+        const wasHidden = overlay.hidden;
+        overlay.hidden = false;
+        if (wasHidden) {
+            overlay.querySelector('[data-close-detail]').focus();
+        }
+
+        if (!this.isFormatLoaded(format)) {
+            body.innerHTML = `<p class="serializer-detail-note" role="status">Loading ${this.escapeHTML(format.toUpperCase())} results…</p>`;
+            try {
+                await this.loadFormat(format);
+            } catch (error) {
+                console.error(`❌ Failed to load ${format} results:`, error);
+                body.innerHTML = `<p class="serializer-detail-note">Could not load ${this.escapeHTML(format.toUpperCase())} results (${this.escapeHTML(error.message)}).</p>`;
+                return;
+            }
+            // Another serializer may have been opened meanwhile
+            if (this.filters.detail !== serializer) return;
+        }
+
+        body.innerHTML = this.getSerializerDetailHTML(serializer, format);
+    }
+
+    /**
+     * Everything measured for one serializer in its format: per operation,
+     * its value in every environment and data size and its rank there, plus
+     * the operations it has no results for. Each operation uses the metric
+     * chosen on its chart. A rank only compares the format's serializers
+     * measured in the same environment, as results from different Rubies
+     * and machines are not comparable.
+     */
+    getSerializerDetail(serializer, format) {
+        const sizes = this.getAvailableDataSizes();
+        const environments = new Set();
+        const operations = [];
+        const unsupported = [];
+
+        ['parsing', 'generation', 'streaming', 'memory'].forEach(operation => {
+            const metric = this.getMetricDefinitions()[this.getChartMetric(operation)];
+            const operationData = this.data.combined_results[operation] || {};
+            const bySize = {};
+
+            sizes.forEach(size => {
+                const serializers = (operationData[size] && operationData[size][format]) || {};
+                const own = serializers[serializer];
+                if (!own || Object.keys(own).length === 0) return;
+
+                const ranks = {};
+                Object.entries(own).forEach(([envKey, envData]) => {
+                    const value = this.getMetricValue(envData, operation);
+                    const others = Object.entries(serializers)
+                        .filter(([name, envResults]) => name !== serializer && envResults && envResults[envKey])
+                        .map(([, envResults]) => this.getMetricValue(envResults[envKey], operation));
+                    const ahead = others.filter(other => metric.higherIsBetter ? other > value : other < value);
+
+                    ranks[envKey] = { rank: ahead.length + 1, of: others.length + 1 };
+                    environments.add(envKey);
+                });
+                bySize[size] = { ranks, values: own };
+            });
+
+            const measuredByOthers = sizes.some(size => operationData[size] && operationData[size][format]);
+            if (Object.keys(bySize).length > 0) {
+                operations.push({ operation, metric, sizes: bySize });
+            } else if (measuredByOthers) {
+                unsupported.push(operation);
+            }
+        });
+
+        return {
+            operations,
+            unsupported,
+            sizes: sizes.filter(size => operations.some(entry => entry.sizes[size])),
+            environments: this.getSortedEnvironmentKeys().filter(envKey => environments.has(envKey))
+        };
+    }
+
+    /**
+     * The serializer's versions over time: each version with the first and
+     * last run date it was seen on and the environments that ran it, from the
+     * trend history and the current environments.
+     */
+    getSerializerVersionHistory(serializer) {
+        const versions = new Map();
+        const record = (version, envKey, date) => {
+            if (!version) return;
+            if (!versions.has(version)) {
+                versions.set(version, { version, first: null, last: null, environments: new Set() });
+            }
+            const entry = versions.get(version);
+            entry.environments.add(envKey);
+            if (date) {
+                if (!entry.first || date < entry.first) entry.first = date;
+                if (!entry.last || date > entry.last) entry.last = date;
+            }
+        };
+
+        this.data.history.forEach(run => {
+            record((run.serializer_versions || {})[serializer], run.environment, this.getRunDate(run));
+        });
+        Object.entries(this.data.environments).forEach(([envKey, env]) => {
+            const date = env.timestamp ? this.getRunDate({ created_at: env.timestamp }) : null;
+            record(this.getSerializerVersion(envKey, serializer), envKey, date);
+        });
+
+        return Array.from(versions.values()).sort((a, b) => this.compareVersions(a.version, b.version));
+    }
+
+    getSerializerDetailHTML(serializer, format) {
+        const escape = (text) => this.escapeHTML(text);
+        const detail = this.getSerializerDetail(serializer, format);
+        const name = escape(this.formatSerializerName(serializer));
+        const formatLabel = escape((format || '').toUpperCase());
+        const operationNames = { parsing: 'Parsing', generation: 'Generation', streaming: 'Streaming', memory: 'Memory' };
+
+        if (detail.operations.length === 0) {
+            return `<p class="serializer-detail-note">No ${formatLabel} results for ${name} in this report.</p>`;
+        }
+
+        const unsupported = detail.unsupported.length === 0 ? '' : `
+            <p class="serializer-detail-unsupported">
+                <strong>Not supported:</strong> ${detail.unsupported.map(operation => operationNames[operation]).join(', ')}
+                <span class="serializer-detail-note">(other ${formatLabel} serializers have results; ${name} has none)</span>
+            </p>
+        `;
+
+        const tables = detail.operations.map(({ operation, metric, sizes }) => {
+            const header = detail.sizes.map(size => `<th scope="col">${escape(size)}</th>`).join('');
+            const rows = detail.environments.map(envKey => {
+                const cells = detail.sizes.map(size => {
+                    const envData = sizes[size] && sizes[size].values[envKey];
+                    if (!envData) return '<td>—</td>';
+
+                    const { rank, of } = sizes[size].ranks[envKey];
+                    return `
+                        <td>
+                            ${metric.format(this.getMetricValue(envData, operation))}
+                            <span class="serializer-detail-rank" title="Rank among ${formatLabel} serializers on this environment">#${rank} of ${of}</span>
+                        </td>
+                    `;
+                }).join('');
+                return `<tr><th scope="row">${escape(this.describeEnvironment(envKey))}</th>${cells}</tr>`;
+            }).join('');
+
+            return `
+                <section class="serializer-detail-operation">
+                    <h3>${operationNames[operation]} <span class="serializer-detail-note">(${metric.label})</span></h3>
+                    <div class="table-wrapper">
+                        <table class="comparison-table">
+                            <thead><tr><th scope="col">Environment</th>${header}</tr></thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    </div>
+                </section>
+            `;
+        }).join('');
+
+        const history = this.getSerializerVersionHistory(serializer);
+        const versions = history.length === 0 ? '<p class="serializer-detail-note">No versions recorded.</p>' : `
+            <div class="table-wrapper">
+                <table class="comparison-table">
+                    <thead><tr><th scope="col">Version</th><th scope="col">First run</th><th scope="col">Last run</th><th scope="col">Environments</th></tr></thead>
+                    <tbody>
+                        ${history.map(entry => `
+                            <tr>
+                                <td>${escape(entry.version)}</td>
+                                <td>${escape(entry.first || '—')}</td>
+                                <td>${escape(entry.last || '—')}</td>
+                                <td>${Array.from(entry.environments).sort().map(envKey => escape(this.describeEnvironment(envKey))).join('<br>')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        return `
+            ${unsupported}
+            <p class="serializer-detail-note">
+                Each result is ranked against the other ${formatLabel} serializers measured on the same environment and data size.
+            </p>
+            ${tables}
+            <section class="serializer-detail-operation">
+                <h3>Version history</h3>
+                ${versions}
+            </section>
+        `;
+    }
+
+    // Environment Comparison
+    updateViewVisibility() {
+        const comparing = this.filters.view === 'compare';
+        const grid = document.querySelector('.dashboard-grid');
+        if (grid) {
+            grid.classList.toggle('hidden', comparing);
+        }
+        const section = document.getElementById('comparison-section');
+        if (section) {
+            section.classList.toggle('hidden', !comparing);
+        }
+    }
+
+    /**
+     * Percentage change from the baseline to the candidate environment for
+     * every serializer, operation and data size measured in both, within the
+     * current format and using each operation's selected metric.
+     * `improvement` is signed so that positive always means the candidate is
+     * better: faster for throughput and time, leaner for memory.
+     */
+    getComparisonRows() {
+        const { baseline, candidate, format } = this.filters;
+        const rows = [];
+        if (!baseline || !candidate) return rows;
+
+        const sizes = this.filters.dataSize === 'all' ? this.getAvailableDataSizes() : [this.filters.dataSize];
+
+        ['parsing', 'generation', 'streaming', 'memory'].forEach(operation => {
+            const operationData = this.data.combined_results[operation] || {};
+
+            sizes.forEach(size => {
+                const sizeData = operationData[size] && operationData[size][format];
+                if (!sizeData) return;
+
+                Object.entries(sizeData).forEach(([serializer, envs]) => {
+                    if (this.filters.hiddenSerializers.has(serializer)) return;
+                    if (!envs[baseline] || !envs[candidate]) return;
+
+                    const baselineValue = this.getMetricValue(envs[baseline], operation);
+                    const candidateValue = this.getMetricValue(envs[candidate], operation);
+                    const significant = !this.rangesOverlap(
+                        this.getMetricRange(envs[baseline], operation),
+                        this.getMetricRange(envs[candidate], operation)
+                    );
+                    if (!baselineValue || !candidateValue) return;
+
+                    const change = (candidateValue - baselineValue) / baselineValue * 100;
+                    const metric = this.getChartMetric(operation);
+                    const baselineVersion = this.getSerializerVersion(baseline, serializer);
+                    const candidateVersion = this.getSerializerVersion(candidate, serializer);
+                    const improvement = this.getMetricDefinitions()[metric].higherIsBetter ? change : -change;
+
+                    rows.push({
+                        serializer,
+                        operation,
+                        metric,
+                        size,
+                        baselineVersion,
+                        candidateVersion,
+                        versionChanged: Boolean(baselineVersion && candidateVersion && baselineVersion !== candidateVersion),
+                        baselineValue,
+                        candidateValue,
+                        change,
+                        improvement,
+                        significant,
+                        status: !significant || Math.abs(improvement) < this.filters.noiseThreshold
+                            ? 'neutral'
+                            : (improvement > 0 ? 'improvement' : 'regression')
+                    });
+                });
+            });
+        });
+
+        return rows;
+    }
+
+    updateComparison() {
+        const canvas = document.getElementById('chart-comparison');
+        const table = document.getElementById('comparison-table');
+        if (!canvas || !table) return;
+
+        const rows = this.getComparisonRows();
+        this.updateComparisonTable(table, rows);
+
+        if (this.comparisonChart) {
+            this.comparisonChart.destroy();
+            this.comparisonChart = null;
+        }
+
+        if (rows.length === 0) {
+            this.showChartError(canvas, 'No measurements shared by both environments');
+            return;
+        }
+        if (!this.isChartLibraryLoaded()) {
+            this.showChartError(canvas, this.getChartLibraryError());
+            return;
+        }
+        this.clearChartError(canvas);
+
+        // Give every bar enough room in the horizontal layout
+        canvas.parentElement.style.height = `${Math.max(300, rows.length * 24 + 80)}px`;
+
+        const statusColors = {
+            improvement: 'rgba(16, 185, 129, 0.8)',
+            regression: 'rgba(239, 68, 68, 0.8)',
+            neutral: 'rgba(107, 114, 128, 0.6)'
+        };
+
+        try {
+            this.comparisonChart = SerialbenchCharts.createChart(canvas, {
+                type: 'bar',
+                data: {
+                    labels: rows.map(row => `${this.formatSerializerName(row.serializer)}${row.versionChanged ? ' ⚠' : ''} ${row.operation} (${row.size})`),
+                    datasets: [{
+                        label: 'Change vs baseline',
+                        data: rows.map(row => row.improvement),
+                        rows,
+                        backgroundColor: rows.map(row => statusColors[row.status]),
+                        borderWidth: 0,
+                        borderRadius: 4
+                    }]
+                },
+                options: this.getComparisonChartOptions()
+            });
+            this.emit('chart:created', { id: 'comparison', canvas, chart: this.comparisonChart });
+        } catch (error) {
+            console.error('Failed to create comparison chart:', error);
+            this.showChartError(canvas, 'Failed to load comparison chart', error);
+        }
+    }
+
+    getComparisonChartOptions() {
+        const options = SerialbenchCharts.getChartOptions({
+            theme: this.theme,
+            title: `${this.filters.format.toUpperCase()}: ${this.describeEnvironment(this.filters.candidate)} vs ${this.describeEnvironment(this.filters.baseline)}`,
+            valueTitle: '← worse than baseline · better than baseline →',
+            formatTick: (value) => `${value > 0 ? '+' : ''}${value}%`,
+            legend: false,
+            indexAxis: 'y',
+            categoryGrid: false
+        });
+
+        options.onClick = (event, elements, chart) => {
+            const element = elements[0];
+            const row = element && chart.data.datasets[element.datasetIndex].rows[element.index];
+            if (row) this.openSerializerDetail(row.serializer);
+        };
+
+        options.plugins.tooltip.callbacks = {
+            label: (context) => {
+                const row = context.dataset.rows[context.dataIndex];
+                const change = this.formatComparisonChange(row);
+                if (row.versionChanged) {
+                    return [change, `Version changed: ${row.baselineVersion} → ${row.candidateVersion}`];
+                }
+                return change;
+            }
+        };
+
+        return options;
+    }
+
+    updateComparisonTable(table, rows) {
+        if (rows.length === 0) {
+            table.innerHTML = '';
+            return;
+        }
+
+        const escape = (text) => this.escapeHTML(text);
+        const metrics = this.getMetricDefinitions();
+        const formatValue = (row, value) => metrics[row.metric].format(value);
+
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Serializer</th>
+                    <th>Operation</th>
+                    <th>Size</th>
+                    <th>${escape(this.describeEnvironment(this.filters.baseline))}</th>
+                    <th>${escape(this.describeEnvironment(this.filters.candidate))}</th>
+                    <th>Change</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr class="delta-${row.status}">
+                        <td>${escape(this.formatSerializerName(row.serializer))}${this.formatVersionChange(row)}</td>
+                        <td>${escape(row.operation)}</td>
+                        <td>${escape(row.size)}</td>
+                        <td>${formatValue(row, row.baselineValue)}</td>
+                        <td>${formatValue(row, row.candidateValue)}</td>
+                        <td class="delta-value">${this.formatComparisonChange(row)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        `;
+    }
+
+    formatVersionChange(row) {
+        if (!row.versionChanged) return '';
+        return ` <span class="version-differs" title="Serializer version differs between environments">${this.escapeHTML(row.baselineVersion)} → ${this.escapeHTML(row.candidateVersion)}</span>`;
+    }
+
+    formatComparisonChange(row) {
+        const change = `${row.change > 0 ? '+' : ''}${row.change.toFixed(1)}%`;
+        if (!row.significant) {
+            return `${change} (not significant)`;
+        }
+        if (row.status === 'neutral') {
+            return `${change} (within noise)`;
+        }
+        return `${change} ${this.getMetricDefinitions()[row.metric].label} (${row.status})`;
+    }
+
+    describeEnvironment(envKey) {
+        const env = this.data.environments[envKey];
+        return env ? `${this.describeRuby(env)} ${env.os}-${env.arch} (${this.getEnvironmentKind(env)})` : envKey;
+    }
+
+    clearChartError(canvas) {
+        const container = canvas.parentElement;
+
+        // Remove any existing error message
+        const existingError = container.querySelector('.chart-error');
+        if (existingError) {
+            existingError.remove();
+        }
+
+        // Show the canvas
+        canvas.style.display = 'block';
+    }
+
+    showChartError(canvas, message, error = null) {
+        // Hide the canvas and show error message
+        canvas.style.display = 'none';
+        this.renderChartError(canvas.parentElement, message);
+
+        this.emit('chart:error', { id: canvas.id.replace(/^chart-/, ''), canvas, message, error });
+    }
+
+    renderChartError(container, message) {
+        // Clear any existing error message
+        const existingError = container.querySelector('.chart-error');
+        if (existingError) {
+            existingError.remove();
+        }
+
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'chart-error';
+        errorDiv.innerHTML = `
+            <svg width="24" height="24" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <circle cx="12" cy="12" r="10"></circle>
+                <line x1="15" y1="9" x2="9" y2="15"></line>
+                <line x1="9" y1="9" x2="15" y2="15"></line>
+            </svg>
+            <span>${this.escapeHTML(message)}</span>
+        `;
+
+        container.appendChild(errorDiv);
+    }
+
+    // Summary and Environment Updates
+    updateSummary() {
+        const container = document.getElementById('performance-summary');
+        if (!container) return;
+
+        console.log('📈 Updating performance summary...');
+
+        container.innerHTML = this.getSummaryHTML();
+    }
+
+    getSummaryHTML() {
+        const format = this.filters.format.toUpperCase();
+        const rows = this.getFilteredRows();
+        const categories = [
+            { operation: 'parsing', title: 'Fastest Parser', verb: 'parsing' },
+            { operation: 'generation', title: 'Fastest Generator', verb: 'generation' },
+            { operation: 'memory', title: 'Lowest Memory Usage', verb: 'processing' }
+        ];
+
+        const cards = categories.map(category => {
+            const sizes = this.filters.dataSize === 'all' ? this.getAvailableDataSizes() : [this.filters.dataSize];
+            const items = sizes
+                .map(size => this.summarizeOperation(category.operation, size, rows))
+                .filter(Boolean)
+                .map(summary => `<li>${this.formatSummaryConclusion(summary, format, category.verb)}</li>`);
+
+            if (items.length === 0) return '';
+
+            return `
+                <div class="summary-card">
+                    <h3 class="summary-card-title">${category.title}</h3>
+                    <ul class="summary-list">${items.join('')}</ul>
+                </div>
+            `;
+        }).filter(Boolean);
+
+        return cards.length > 0
+            ? cards.join('')
+            : '<p class="text-muted">No results match current filters</p>';
+    }
+
+    /**
+     * Rank serializers for one operation and data size within the current
+     * format, averaging each serializer across the filtered rows (see
+     * getFilteredRows). Returns the best and worst performer, or null when
+     * fewer than two serializers have data.
+     */
+    summarizeOperation(operation, size, rows = this.getFilteredRows()) {
+        const metric = operation === 'memory' ? 'allocated_memory' : 'iterations_per_second';
+        const values = new Map();
+
+        rows.forEach(row => {
+            const value = row[metric];
+            if (row.operation !== operation || row.size !== size) return;
+            if (typeof value !== 'number' || value <= 0) return;
+
+            if (!values.has(row.serializer)) values.set(row.serializer, []);
+            values.get(row.serializer).push(value);
+        });
+
+        const averages = Array.from(values, ([serializer, list]) => ({
+            serializer,
+            value: list.reduce((sum, value) => sum + value, 0) / list.length
+        }));
+
+        if (averages.length < 2) return null;
+
+        // Higher is better for throughput, lower is better for memory
+        averages.sort((a, b) => operation === 'memory' ? a.value - b.value : b.value - a.value);
+
+        const best = averages[0];
+        const worst = averages[averages.length - 1];
+
+        return {
+            operation,
+            size,
+            best,
+            worst,
+            ratio: operation === 'memory' ? worst.value / best.value : best.value / worst.value
+        };
+    }
+
+    formatSummaryConclusion(summary, format, verb) {
+        const best = this.escapeHTML(this.formatSerializerName(summary.best.serializer));
+        const worst = this.escapeHTML(this.formatSerializerName(summary.worst.serializer));
+        const size = this.escapeHTML(summary.size);
+        const ratio = summary.ratio >= 10 ? Math.round(summary.ratio) : summary.ratio.toFixed(1);
+
+        if (summary.operation === 'memory') {
+            return `<strong>${best}</strong> allocates ${ratio}× less memory than ${worst} for ${size} ${format} ${verb}`;
+        }
+        return `<strong>${best}</strong> is ${ratio}× faster than ${worst} for ${size} ${format} ${verb}`;
+    }
+
+    // Results Table
+    /**
+     * Flatten the filtered snapshot into one row per serializer, environment,
+     * data size and operation. Respects platform, version, format and data
+     * size filters and hidden serializers; throughput rows leave the memory
+     * columns empty and vice versa.
+     */
+    getFilteredRows() {
+        const format = this.filters.format;
+        const sizes = this.filters.dataSize === 'all' ? this.getAvailableDataSizes() : [this.filters.dataSize];
+        const rows = [];
+
+        ['parsing', 'generation', 'streaming', 'memory'].forEach(operation => {
+            const operationData = this.data.combined_results[operation] || {};
+
+            sizes.forEach(size => {
+                const sizeData = operationData[size] && operationData[size][format];
+                if (!sizeData) return;
+
+                Object.entries(sizeData).forEach(([serializer, envs]) => {
+                    if (this.filters.hiddenSerializers.has(serializer)) return;
+
+                    Object.entries(envs).forEach(([envKey, envData]) => {
+                        if (!this.shouldIncludeEnvironment(this.data.environments[envKey])) return;
+
+                        rows.push({
+                            serializer,
+                            environment: envKey,
+                            size,
+                            operation,
+                            iterations_per_second: envData.iterations_per_second ?? null,
+                            time_per_iteration: envData.time_per_iteration ?? null,
+                            time_per_iteration_stddev: envData.time_per_iteration_stddev ?? null,
+                            iterations_count: envData.iterations_count ?? null,
+                            allocated_memory: envData.allocated_memory ?? null,
+                            retained_memory: envData.retained_memory ?? null
+                        });
+                    });
+                });
+            });
+        });
+
+        return rows;
+    }
+
+    getResultColumns() {
+        return [
+            { key: 'serializer', label: 'Serializer', format: row => this.formatSerializerName(row.serializer) },
+            { key: 'environment', label: 'Environment', format: row => this.describeEnvironment(row.environment) },
+            { key: 'size', label: 'Data Size', format: row => row.size },
+            { key: 'operation', label: 'Operation', format: row => row.operation },
+            {
+                key: 'iterations_per_second',
+                label: 'Iterations/sec',
+                csvLabel: 'Iterations/sec',
+                numeric: true,
+                format: row => row.iterations_per_second === null
+                    ? ''
+                    : row.iterations_per_second.toLocaleString(undefined, { maximumFractionDigits: 1 })
+            },
+            {
+                key: 'time_per_iteration',
+                label: 'Time/iteration',
+                csvLabel: 'Time/iteration (s)',
+                numeric: true,
+                format: row => row.time_per_iteration === null ? '' : this.formatDuration(row.time_per_iteration)
+            },
+            {
+                key: 'time_per_iteration_stddev',
+                label: 'Std dev',
+                csvLabel: 'Std dev (s)',
+                numeric: true,
+                format: row => row.time_per_iteration_stddev === null ? '' : `± ${this.formatDuration(row.time_per_iteration_stddev)}`
+            },
+            {
+                key: 'iterations_count',
+                label: 'Samples',
+                numeric: true,
+                format: row => row.iterations_count === null ? '' : row.iterations_count.toLocaleString()
+            },
+            {
+                key: 'allocated_memory',
+                label: 'Allocated',
+                csvLabel: 'Allocated (bytes)',
+                numeric: true,
+                format: row => row.allocated_memory === null ? '' : this.formatBytes(row.allocated_memory)
+            },
+            {
+                key: 'retained_memory',
+                label: 'Retained',
+                csvLabel: 'Retained (bytes)',
+                numeric: true,
+                format: row => row.retained_memory === null ? '' : this.formatBytes(row.retained_memory)
+            }
+        ];
+    }
 
-                // Check if chart exists and canvas is valid
-                if (!chart || !chart.canvas || !chart.canvas.getContext) {
-                    console.log(`🔧 Recreating chart for ${operation}`);
-                    // Recreate chart if it was destroyed or canvas was replaced
-                    this.createChart(operation);
-                    return;
-                }
+    formatDuration(seconds) {
+        return SerialbenchCharts.formatDuration(seconds);
+    }
 
-                console.log(`✅ Updating existing chart for ${operation}`);
-                chart.data = newData;
-                chart.options = this.getChartOptions(operation);
-                chart.update('active');
+    formatBytes(bytes) {
+        return SerialbenchCharts.formatBytes(bytes);
+    }
 
-            } catch (error) {
-                console.error(`❌ Error updating chart for ${operation}:`, error);
-                // Try to recreate the chart
-                try {
-                    this.createChart(operation);
-                } catch (recreateError) {
-                    console.error(`❌ Failed to recreate chart for ${operation}:`, recreateError);
-                }
-            }
+    /**
+     * Rows currently visible in the table: the filtered rows narrowed by the
+     * search terms and ordered by the active sort column. Empty numeric cells
+     * always sort last.
+     */
+    getVisibleTableRows() {
+        const columns = this.getResultColumns();
+        const { sortKey, sortDirection } = this.tableState;
+        // Every search term must match some column, so "ox large" narrows down
+        const terms = this.tableState.search.toLowerCase().split(/\s+/).filter(Boolean);
+        const sortColumn = columns.find(column => column.key === sortKey) || columns[0];
+        const direction = sortDirection === 'desc' ? -1 : 1;
+
+        const rows = this.getFilteredRows().filter(row => {
+            const cells = columns.map(column => column.format(row).toLowerCase());
+            return terms.every(term => cells.some(cell => cell.includes(term)));
         });
-    }
 
-    updateChartsTheme() {
-        this.charts.forEach((chart, operation) => {
-            chart.options = this.getChartOptions(operation);
-            chart.update('none');
+        return rows.sort((a, b) => {
+            if (sortColumn.numeric) {
+                const valueA = a[sortColumn.key];
+                const valueB = b[sortColumn.key];
+                if (valueA === null) return valueB === null ? 0 : 1;
+                if (valueB === null) return -1;
+                return (valueA - valueB) * direction;
+            }
+            return sortColumn.format(a).localeCompare(sortColumn.format(b), undefined, { numeric: true }) * direction;
         });
     }
 
-    clearChartError(canvas) {
-        const container = canvas.parentElement;
+    setupResultsTable() {
+        const table = document.getElementById('results-table');
+        if (!table) return;
+
+        table.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-sort]');
+            if (!button) return;
+
+            const key = button.dataset.sort;
+            if (this.tableState.sortKey === key) {
+                this.tableState.sortDirection = this.tableState.sortDirection === 'asc' ? 'desc' : 'asc';
+            } else {
+                this.tableState.sortKey = key;
+                // Numbers read best largest first
+                const column = this.getResultColumns().find(col => col.key === key);
+                this.tableState.sortDirection = column && column.numeric ? 'desc' : 'asc';
+            }
+            this.updateResultsTable();
+        });
 
-        // Remove any existing error message
-        const existingError = container.querySelector('.chart-error');
-        if (existingError) {
-            existingError.remove();
+        const searchInput = document.getElementById('results-search');
+        if (searchInput) {
+            searchInput.addEventListener('input', _.debounce((e) => {
+                this.tableState.search = e.target.value;
+                this.updateResultsTable();
+            }, 150));
         }
 
-        // Show the canvas
-        canvas.style.display = 'block';
+        document.querySelectorAll('[data-copy-format]').forEach(button => {
+            button.addEventListener('click', () => this.copyResultsTable(button));
+        });
     }
 
-    showChartError(canvas, message) {
-        const container = canvas.parentElement;
-        const canvasId = canvas.id;
+    updateResultsTable() {
+        const table = document.getElementById('results-table');
+        if (!table) return;
+
+        const columns = this.getResultColumns();
+        const rows = this.getVisibleTableRows();
+        const { sortKey, sortDirection } = this.tableState;
+
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    ${columns.map(column => `
+                        <th scope="col" class="${column.numeric ? 'numeric' : ''}"
+                            aria-sort="${column.key === sortKey ? (sortDirection === 'asc' ? 'ascending' : 'descending') : 'none'}">
+                            <button type="button" class="sort-button" data-sort="${column.key}">
+                                ${column.label}${column.key === sortKey ? (sortDirection === 'asc' ? ' ▲' : ' ▼') : ''}
+                            </button>
+                        </th>
+                    `).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.length === 0
+                    ? `<tr><td colspan="${columns.length}" class="text-muted">No results match current filters</td></tr>`
+                    : rows.map(row => `
+                        <tr>
+                            ${columns.map(column => `<td class="${column.numeric ? 'numeric' : ''}">${this.escapeHTML(column.format(row))}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+            </tbody>
+        `;
 
-        // Clear any existing error message
-        const existingError = container.querySelector('.chart-error');
-        if (existingError) {
-            existingError.remove();
+        const count = document.getElementById('results-count');
+        if (count) {
+            count.textContent = `${rows.length} ${rows.length === 1 ? 'row' : 'rows'}`;
         }
+    }
 
-        // Hide the canvas and show error message
-        canvas.style.display = 'none';
-
-        const errorDiv = document.createElement('div');
-        errorDiv.className = 'chart-error';
-        errorDiv.innerHTML = `
-            <svg width="24" height="24" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <circle cx="12" cy="12" r="10"></circle>
-                <line x1="15" y1="9" x2="9" y2="15"></line>
-                <line x1="9" y1="9" x2="15" y2="15"></line>
-            </svg>
-            <span>${message}</span>
-        `;
+    /**
+     * Serialize the visible rows. Markdown uses the formatted values shown
+     * in the table; CSV keeps raw numbers so spreadsheets can work with them.
+     */
+    formatResultsTable(kind) {
+        const columns = this.getResultColumns();
+        const rows = this.getVisibleTableRows();
+
+        if (kind === 'csv') {
+            const escape = (value) => {
+                const text = value === null || value === undefined ? '' : String(value);
+                return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            };
+            const header = columns.map(column => escape(column.csvLabel || column.label)).join(',');
+            const lines = rows.map(row => columns
+                .map(column => escape(column.numeric ? row[column.key] : column.format(row)))
+                .join(','));
+            return [header, ...lines].join('\n');
+        }
 
-        container.appendChild(errorDiv);
+        const escapeCell = (text) => String(text).replace(/\|/g, '\\|');
+        const header = `| ${columns.map(column => column.label).join(' | ')} |`;
+        const divider = `| ${columns.map(column => column.numeric ? '---:' : '---').join(' | ')} |`;
+        const lines = rows.map(row => `| ${columns.map(column => escapeCell(column.format(row))).join(' | ')} |`);
+        return [header, divider, ...lines].join('\n');
     }
 
-    // Summary and Environment Updates
-    updateSummary() {
-        // This would analyze the current filtered data and update performance summaries
-        console.log('📈 Updating performance summary...');
+    async copyResultsTable(button) {
+        const kind = button.dataset.copyFormat;
+        const text = this.formatResultsTable(kind);
+        const label = button.textContent;
+
+        try {
+            await navigator.clipboard.writeText(text);
+            button.textContent = 'Copied!';
+        } catch (error) {
+            console.error('Failed to copy results table:', error);
+            button.textContent = 'Copy failed';
+        }
+
+        setTimeout(() => {
+            button.textContent = label;
+        }, 1500);
     }
 
     updateEnvironmentInfo() {
@@ -630,50 +2803,110 @@ class SerialBenchDashboard {
 
         // Show all environments, but apply platform and version filters only (not format)
         const filteredEnvs = Object.entries(this.data.environments)
-            .filter(([key, env]) => {
-                // Use os-arch combination for platform matching
-                const platformKey = `${env.os}-${env.arch}`;
-                const platformMatch = this.filters.platforms.size === 0 ||
-                                     this.filters.platforms.has(platformKey);
-                const versionMatch = this.filters.rubyVersions.size === 0 ||
-                                    this.filters.rubyVersions.has(env.ruby_version);
-                return platformMatch && versionMatch;
-            });
+            .filter(([key, env]) => this.shouldIncludeEnvironment(env));
 
         if (filteredEnvs.length === 0) {
             container.innerHTML = '<p class="text-muted">No environments match current filters</p>';
             return;
         }
 
+        // Versions seen per serializer across the visible environments
+        const seenVersions = {};
+        filteredEnvs.forEach(([, env]) => {
+            Object.entries(env.serializer_versions || {}).forEach(([serializer, version]) => {
+                (seenVersions[serializer] = seenVersions[serializer] || new Set()).add(version);
+            });
+        });
+
+        const escape = (text) => this.escapeHTML(text);
         container.innerHTML = filteredEnvs.map(([key, env]) => `
             <div class="environment-card fade-in-up">
                 <h3 class="environment-card-title">
-                    Ruby ${env.ruby_version} on ${env.os}-${env.arch}
+                    ${escape(this.describeRuby(env))} on ${escape(`${env.os}-${env.arch}`)}
                 </h3>
-                <p><strong>Source:</strong> ${env.source_file ? env.source_file.split('/').pop() : 'Unknown'}</p>
+                <p><strong>Kind:</strong> ${escape(this.getEnvironmentKind(env))}${env.ruby_build_tag ? ` (ruby-build ${escape(env.ruby_build_tag)})` : ''}</p>
+                <p><strong>Source:</strong> ${env.source_file ? escape(env.source_file.split('/').pop()) : 'Unknown'}</p>
                 <p><strong>Timestamp:</strong> ${new Date(env.timestamp).toLocaleString()}</p>
-                ${this.generateSerializerVersions(env.environment)}
+                ${(env.tags || []).length > 0 ? `
+                    <p class="environment-tags">${env.tags.map(tag => `<span class="filter-chip">${escape(tag)}</span>`).join('')}</p>
+                ` : ''}
+                ${this.generateSerializerVersions(env, seenVersions)}
             </div>
         `).join('');
     }
 
-    generateSerializerVersions(environment) {
+    /**
+     * List an environment's serializer gem versions grouped by format.
+     * Versions that are not the same in every visible environment are
+     * flagged, since their results are not like-for-like.
+     */
+    generateSerializerVersions(environment, seenVersions = {}) {
         if (!environment || !environment.serializer_versions) {
             return '';
         }
 
-        const versions = Object.entries(environment.serializer_versions)
-            .map(([name, version]) => `<li><strong>${name}:</strong> ${version}</li>`)
-            .join('');
+        const formats = {};
+        Object.entries(environment.serializer_versions).forEach(([serializer, version]) => {
+            const format = this.getSerializerFormat(serializer) || 'other';
+            (formats[format] = formats[format] || []).push([serializer, version]);
+        });
+
+        const groups = Object.keys(formats).sort().map(format => {
+            const versions = formats[format]
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([serializer, version]) => {
+                    const differs = seenVersions[serializer] && seenVersions[serializer].size > 1;
+                    return `<li${differs ? ' class="version-differs" title="Version differs between environments"' : ''}><strong>${this.formatSerializerLink(serializer)}:</strong> ${this.escapeHTML(version)}${differs ? ' ⚠' : ''}</li>`;
+                })
+                .join('');
+            return `<h5>${this.escapeHTML(format.toUpperCase())}</h5><ul>${versions}</ul>`;
+        }).join('');
 
         return `
             <div class="serializer-versions">
                 <h4>Serializer Versions:</h4>
-                <ul style="margin: 0.5rem 0; padding-left: 1.5rem; color: var(--text-muted);">${versions}</ul>
+                ${groups}
             </div>
         `;
     }
 
+    formatSerializerLink(serializer) {
+        const metadata = this.data.serializers[serializer];
+        const name = this.escapeHTML(this.formatSerializerName(serializer));
+        return metadata && metadata.homepage
+            ? `<a href="${this.escapeHTML(metadata.homepage)}" target="_blank" rel="noopener">${name}</a>`
+            : name;
+    }
+
+    getSerializerVersion(envKey, serializer) {
+        const env = this.data.environments[envKey];
+        return (env && env.serializer_versions && env.serializer_versions[serializer]) || null;
+    }
+
+    // The format a serializer belongs to, from its metadata or else the results
+    getSerializerFormat(serializer) {
+        const metadata = this.data.serializers[serializer];
+        if (metadata && metadata.format) return metadata.format;
+
+        const manifest = Object.entries(this.data.formats || {})
+            .find(([, entry]) => entry.serializers.includes(serializer));
+        if (manifest) return manifest[0];
+
+        if (!this.serializerFormats) {
+            this.serializerFormats = {};
+            Object.values(this.data.combined_results || {}).forEach(sizes => {
+                Object.values(sizes || {}).forEach(formats => {
+                    Object.entries(formats || {}).forEach(([format, serializers]) => {
+                        Object.keys(serializers).forEach(name => {
+                            this.serializerFormats[name] = format;
+                        });
+                    });
+                });
+            });
+        }
+        return this.serializerFormats[serializer];
+    }
+
     // Event Listeners
     setupEventListeners() {
         // Handle window resize
@@ -681,6 +2914,30 @@ class SerialBenchDashboard {
             this.charts.forEach(chart => chart.resize());
         }, 250));
 
+        // Restore filter state when navigating browser history
+        window.addEventListener('popstate', () => {
+            this.setDefaultFilters();
+            this.loadFromURL();
+            this.syncFilterControls();
+            this.applyFilters({ updateURL: false });
+        });
+
+        // Print on the light theme, whatever is shown on screen
+        window.addEventListener('beforeprint', () => {
+            if (this.theme === 'light') return;
+            this.screenTheme = this.theme;
+            this.theme = 'light';
+            document.documentElement.setAttribute('data-theme', 'light');
+            this.updateChartsTheme();
+        });
+        window.addEventListener('afterprint', () => {
+            if (!this.screenTheme) return;
+            this.theme = this.screenTheme;
+            this.screenTheme = null;
+            document.documentElement.setAttribute('data-theme', this.theme);
+            this.updateChartsTheme();
+        });
+
         // Handle system theme changes
         window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
             if (!localStorage.getItem('serialbench-theme')) {
@@ -691,34 +2948,138 @@ class SerialBenchDashboard {
     }
 
     // URL Management
-    updateURL() {
+    // Only state that differs from the defaults is written, so the plain
+    // dashboard URL stays clean and shared links remain short.
+    updateURL(options = {}) {
         const params = new URLSearchParams();
 
-        if (this.filters.platforms.size > 0) {
-            params.set('platforms', Array.from(this.filters.platforms).join(','));
-        }
-        if (this.filters.rubyVersions.size > 0) {
-            params.set('versions', Array.from(this.filters.rubyVersions).join(','));
-        }
+        // An empty value means "none selected"; leaving the parameter out
+        // would restore the default of everything
+        this.getMultiSelectFilters().forEach(config => {
+            const values = Array.from(this.filters[config.key]).sort();
+            if (values.length > 0 ? (config.requireAll || values.length < config.options().length) : !config.requireAll) {
+                params.set(config.param, values.join(','));
+            }
+        });
         if (this.filters.format !== 'xml') {
             params.set('format', this.filters.format);
         }
+        if (this.filters.dataSize !== 'all') {
+            params.set('size', this.filters.dataSize);
+        }
+        if (this.filters.chartMode !== 'combined') {
+            params.set('mode', this.filters.chartMode);
+        }
+        if (this.filters.view !== 'snapshot') {
+            params.set('view', this.filters.view);
+        }
+        const metrics = Object.keys(this.filters.metrics)
+            .filter(operation => this.getChartMetric(operation) !== this.getOperationMetrics(operation)[0])
+            .map(operation => `${operation}:${this.getChartMetric(operation)}`);
+        if (metrics.length > 0) {
+            params.set('metrics', metrics.join(','));
+        }
+        const scales = Object.keys(this.filters.scales)
+            .filter(operation => this.filters.scales[operation] !== 'linear')
+            .map(operation => `${operation}:${this.filters.scales[operation]}`);
+        if (scales.length > 0) {
+            params.set('scales', scales.join(','));
+        }
+        if (this.filters.hiddenSerializers.size > 0) {
+            params.set('hide', Array.from(this.filters.hiddenSerializers).sort().join(','));
+        }
+        if (this.filters.detail) {
+            params.set('serializer', this.filters.detail);
+        }
+        if (this.filters.view === 'compare') {
+            params.set('baseline', this.filters.baseline);
+            params.set('candidate', this.filters.candidate);
+            if (this.filters.noiseThreshold !== 5) {
+                params.set('threshold', this.filters.noiseThreshold);
+            }
+        }
+
+        // Keep list separators readable in shared links
+        const query = params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':');
+        const newURL = `${window.location.pathname}${query ? '?' + query : ''}${window.location.hash}`;
+        if (newURL === `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+            return;
+        }
 
-        const newURL = `${window.location.pathname}${params.toString() ? '?' + params.toString() : ''}`;
-        window.history.replaceState({}, '', newURL);
+        if (options.replace) {
+            window.history.replaceState({}, '', newURL);
+        } else {
+            window.history.pushState({}, '', newURL);
+        }
     }
 
     loadFromURL() {
         const params = new URLSearchParams(window.location.search);
 
-        if (params.has('platforms')) {
-            this.filters.platforms = new Set(params.get('platforms').split(','));
+        // Ignore values that are not present in this report so a stale link
+        // never filters everything away
+        const pick = (param, available) => {
+            if (!params.has(param)) return null;
+            const values = params.get(param).split(',').filter(value => available.includes(value));
+            return values.length > 0 ? new Set(values) : null;
+        };
+
+        this.getMultiSelectFilters().forEach(config => {
+            const values = params.get(config.param) === '' ? new Set() : pick(config.param, config.options());
+            if (values) {
+                this.filters[config.key] = values;
+            }
+        });
+        if (params.has('format') && this.getAvailableFormats().includes(params.get('format'))) {
+            this.filters.format = params.get('format');
         }
-        if (params.has('versions')) {
-            this.filters.rubyVersions = new Set(params.get('versions').split(','));
+        if (params.has('size') && this.getAvailableDataSizes().includes(params.get('size'))) {
+            this.filters.dataSize = params.get('size');
         }
-        if (params.has('format')) {
-            this.filters.format = params.get('format');
+        if (params.has('mode') && ['combined', 'multiples'].includes(params.get('mode'))) {
+            this.filters.chartMode = params.get('mode');
+        }
+        if (params.get('view') === 'trend' && this.hasTrendData()) {
+            this.filters.view = 'trend';
+        }
+        if (params.get('view') === 'heatmap') {
+            this.filters.view = 'heatmap';
+        }
+        if (params.has('metrics')) {
+            params.get('metrics').split(',').forEach(entry => {
+                const [operation, metric] = entry.split(':');
+                if (this.getOperationMetrics(operation).includes(metric)) {
+                    this.filters.metrics[operation] = metric;
+                }
+            });
+        }
+        if (params.has('scales')) {
+            params.get('scales').split(',').forEach(entry => {
+                const [operation, mode] = entry.split(/:(.*)/s);
+                if (['parsing', 'generation', 'memory', 'streaming'].includes(operation) &&
+                    /^(linear|log|relative(:.+)?)$/.test(mode || '')) {
+                    this.filters.scales[operation] = mode;
+                }
+            });
+        }
+        const hidden = pick('hide', this.getAvailableSerializers(null));
+        if (hidden) {
+            this.filters.hiddenSerializers = hidden;
+        }
+        if (this.getAvailableSerializers(null).includes(params.get('serializer'))) {
+            this.filters.detail = params.get('serializer');
+        }
+        if (params.get('view') === 'compare' && this.hasComparisonData()) {
+            this.filters.view = 'compare';
+        }
+        if (this.data.environments[params.get('baseline')]) {
+            this.filters.baseline = params.get('baseline');
+        }
+        if (this.data.environments[params.get('candidate')]) {
+            this.filters.candidate = params.get('candidate');
+        }
+        if (params.has('threshold') && !isNaN(parseFloat(params.get('threshold')))) {
+            this.filters.noiseThreshold = Math.max(0, parseFloat(params.get('threshold')));
         }
     }
 
@@ -728,6 +3089,15 @@ class SerialBenchDashboard {
         // Could show a toast notification here
     }
 
+    // For data written into markup: run tags and file names are free-form
+    escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
     // Public API
     getFilterState() {
         return { ...this.filters };
@@ -735,29 +3105,568 @@ class SerialBenchDashboard {
 
     setFilters(newFilters) {
         Object.assign(this.filters, newFilters);
+        this.syncFilterControls();
         this.applyFilters();
     }
 
-    exportData() {
-        const filteredData = this.getFilteredData();
-        const blob = new Blob([JSON.stringify(filteredData, null, 2)], {
-            type: 'application/json'
-        });
+    /**
+     * Download the measurements currently shown, as 'json', 'csv' or 'yaml'.
+     * JSON and YAML follow the layout of the data/*.yaml result files;
+     * CSV has one row per measurement. Every format records the filters and
+     * dashboard URL it was exported from.
+     */
+    exportData(kind = 'json') {
+        const exporters = {
+            json: { type: 'application/json', content: () => JSON.stringify(this.getFilteredData(), null, 2) },
+            csv: { type: 'text/csv', content: () => this.getFilteredCSV() },
+            yaml: { type: 'application/yaml', content: () => this.toYAML(this.getFilteredData()) }
+        };
+        const exporter = exporters[kind];
+        if (!exporter) {
+            throw new Error(`Unknown export format: ${kind}`);
+        }
+
+        const blob = new Blob([exporter.content()], { type: exporter.type });
+        this.downloadBlob(blob, `serialbench-${this.filters.format}-${Date.now()}.${kind}`);
+    }
+
+    downloadBlob(blob, filename) {
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `serialbench-${this.filters.format}-${Date.now()}.json`;
+        a.download = filename;
         a.click();
         URL.revokeObjectURL(url);
     }
 
+    // Chart Downloads and Printing
+    downloadChart(operation, kind = 'png') {
+        if (!this.isChartLibraryLoaded()) {
+            this.showError(this.getChartLibraryError());
+            return;
+        }
+
+        const layout = this.getChartExportLayout(operation, { vector: kind === 'svg' });
+        if (!layout) {
+            this.showError(`No ${this.describeChart(operation)} chart to download`);
+            return;
+        }
+
+        const filename = `serialbench-${this.filters.format}-${operation}-${Date.now()}.${kind}`;
+        if (kind === 'svg') {
+            this.downloadBlob(new Blob([this.getChartSVG(layout)], { type: 'image/svg+xml' }), filename);
+        } else {
+            this.getChartPNG(layout).toBlob(blob => this.downloadBlob(blob, filename), 'image/png');
+        }
+    }
+
+    /**
+     * The embed.html address for an operation's chart with the current
+     * format, metric, serializers and environments. An embed shows one data
+     * size, so with every size on screen it shows the smallest.
+     */
+    getEmbedURL(operation) {
+        const params = new URLSearchParams({
+            format: this.filters.format,
+            operation,
+            size: this.getEmbedDataSize()
+        });
+
+        const metric = this.getChartMetric(operation);
+        if (metric !== this.getOperationMetrics(operation)[0]) {
+            params.set('metric', metric);
+        }
+
+        const serializers = this.getAvailableSerializers();
+        const visible = serializers.filter(serializer => !this.filters.hiddenSerializers.has(serializer));
+        if (visible.length < serializers.length) {
+            params.set('serializers', visible.join(','));
+        }
+
+        const environments = Object.keys(this.data.environments);
+        const included = environments.filter(envKey => this.shouldIncludeEnvironment(this.data.environments[envKey]));
+        if (included.length < environments.length) {
+            params.set('env', included.join(','));
+        }
+
+        const query = params.toString().replace(/%2C/g, ',');
+        return new URL(`embed.html?${query}`, window.location.href).href;
+    }
+
+    getEmbedDataSize() {
+        return this.filters.dataSize === 'all' ? this.getAvailableDataSizes()[0] : this.filters.dataSize;
+    }
+
+    getEmbedCode(operation) {
+        const escape = (text) => this.escapeHTML(text);
+
+        return `<iframe src="${escape(this.getEmbedURL(operation))}" ` +
+            `title="${escape(`${this.getChartTitle(operation, this.getEmbedDataSize())} · Serialbench`)}" ` +
+            'width="720" height="420" style="border: 0;" loading="lazy"></iframe>';
+    }
+
+    async copyEmbedCode(button) {
+        const card = button.closest('.chart-card');
+        const label = button.textContent;
+
+        try {
+            await navigator.clipboard.writeText(this.getEmbedCode(card.dataset.operation));
+            button.textContent = 'Copied!';
+        } catch (error) {
+            console.error('Failed to copy embed code:', error);
+            button.textContent = 'Copy failed';
+        }
+
+        setTimeout(() => {
+            button.textContent = label;
+        }, 1500);
+    }
+
+    /**
+     * Draw an operation's charts off-screen on the light theme at twice the
+     * display resolution, so downloads and printouts look the same whatever
+     * theme is on screen. Returns one canvas per panel that has data, or
+     * with vector set, the SVG markup Chart.js drew for it.
+     */
+    renderChartImages(operation, { width = 960, height = 480, scale = 2, vector = false } = {}) {
+        // Chart.js only draws on canvases that are attached to the document
+        const host = document.createElement('div');
+        host.className = 'chart-render-host';
+        document.body.appendChild(host);
+
+        const screenTheme = this.theme;
+        this.theme = 'light';
+
+        try {
+            return this.getChartPanels(operation).map(panel => {
+                const data = this.getFilteredChartData(operation, panel.size);
+                if (data.datasets.length === 0) return null;
+
+                const canvas = document.createElement('canvas');
+                canvas.width = width;
+                canvas.height = height;
+                host.appendChild(canvas);
+
+                // Chart.js draws through whatever context the canvas hands out
+                const recorder = vector ? this.createSVGRecorder(canvas, panel.id) : null;
+
+                const chart = SerialbenchCharts.createChart(canvas, {
+                    type: this.getChartType(),
+                    data,
+                    options: {
+                        ...this.getChartOptions(operation, panel.size),
+                        responsive: false,
+                        animation: false,
+                        devicePixelRatio: vector ? 1 : scale
+                    },
+                    plugins: [this.getErrorBarPlugin()]
+                });
+
+                // Destroying the chart clears its canvas, so keep a copy
+                if (recorder) {
+                    const svg = recorder.toSVG();
+                    chart.destroy();
+                    return { panel, svg, width, height };
+                }
+                const image = document.createElement('canvas');
+                image.width = canvas.width;
+                image.height = canvas.height;
+                image.getContext('2d').drawImage(canvas, 0, 0);
+                chart.destroy();
+
+                return { panel, canvas: image, width, height };
+            }).filter(Boolean);
+        } finally {
+            this.theme = screenTheme;
+            host.remove();
+        }
+    }
+
+    // Text is measured on a real canvas so labels are laid out as on screen
+    createSVGRecorder(canvas, idPrefix) {
+        const measuring = document.createElement('canvas').getContext('2d');
+        const recorder = SerialbenchCharts.createSVGContext({
+            canvas,
+            idPrefix,
+            measureText: (text, font) => {
+                measuring.font = font;
+                return measuring.measureText(text);
+            }
+        });
+        canvas.getContext = () => recorder;
+        return recorder;
+    }
+
+    /**
+     * Place the title, filter context and report timestamp around an
+     * operation's charts. Positions are in CSS pixels and shared by the
+     * PNG and SVG downloads.
+     */
+    getChartExportLayout(operation, { vector = false } = {}) {
+        const images = this.renderChartImages(operation, { vector });
+        if (images.length === 0) return null;
+
+        const padding = 24;
+        const lines = [];
+        let y = padding;
+
+        const addLine = (text, size, style = {}) => {
+            lines.push({ text, size, x: padding, y: y + size, ...style });
+            y += Math.round(size * 1.6);
+        };
+
+        addLine(this.getChartTitle(operation), 20, { bold: true });
+        this.describeFilters(operation).forEach(text => addLine(text, 12, { muted: true }));
+        y += padding / 2;
+
+        const placed = images.map(image => {
+            const item = { ...image, x: padding, y };
+            y += image.height;
+            return item;
+        });
+
+        y += padding / 2;
+        addLine(this.describeReportTimestamp(), 11, { muted: true });
+
+        return { width: images[0].width + padding * 2, height: y + padding, lines, images: placed };
+    }
+
+    getChartPNG(layout, scale = 2) {
+        const canvas = document.createElement('canvas');
+        canvas.width = layout.width * scale;
+        canvas.height = layout.height * scale;
+
+        const ctx = canvas.getContext('2d');
+        ctx.scale(scale, scale);
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, layout.width, layout.height);
+
+        layout.lines.forEach(line => {
+            ctx.font = `${line.bold ? 'bold ' : ''}${line.size}px Inter, sans-serif`;
+            ctx.fillStyle = line.muted ? '#64748B' : '#0F172A';
+            ctx.fillText(line.text, line.x, line.y);
+        });
+        layout.images.forEach(image => {
+            ctx.drawImage(image.canvas, image.x, image.y, image.width, image.height);
+        });
+
+        return canvas;
+    }
+
+    // Text stays text and each chart is the shapes Chart.js drew, nested in
+    // its own <svg> so it is clipped to its place
+    getChartSVG(layout) {
+        const escape = (text) => this.escapeHTML(text);
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" height="${layout.height}" viewBox="0 0 ${layout.width} ${layout.height}">`,
+            `<rect width="100%" height="100%" fill="#FFFFFF"/>`,
+            ...layout.lines.map(line =>
+                `<text x="${line.x}" y="${line.y}" font-family="Inter, sans-serif" font-size="${line.size}"` +
+                `${line.bold ? ' font-weight="bold"' : ''} fill="${line.muted ? '#64748B' : '#0F172A'}">${escape(line.text)}</text>`),
+            ...layout.images.map(image =>
+                `<svg x="${image.x}" y="${image.y}" width="${image.width}" height="${image.height}">${image.svg}</svg>`),
+            '</svg>'
+        ].join('\n');
+    }
+
+    /**
+     * Describe what a chart or report shows: format, data size and view,
+     * the chart's metric and scale, then only the environment filters that
+     * narrow the results and any hidden serializers.
+     */
+    describeFilters(operation = null) {
+        const views = { snapshot: 'Snapshot', trend: 'Trend', compare: 'Comparison' };
+        const view = [
+            this.filters.format.toUpperCase(),
+            this.filters.dataSize === 'all' ? 'All data sizes' : `${this.filters.dataSize} data`,
+            views[this.filters.view]
+        ];
+        if (operation) {
+            const { type, baseline } = this.getScaleMode(operation);
+            const scales = { linear: 'Linear scale', log: 'Logarithmic scale' };
+            view.push(this.getMetricDefinitions()[this.getChartMetric(operation)].label);
+            view.push(scales[type] || `Relative to ${baseline ? this.formatSerializerName(baseline) : 'fastest'}`);
+        }
+
+        const environments = this.getMultiSelectFilters()
+            .filter(config => config.requireAll
+                ? this.filters[config.key].size > 0
+                : this.filters[config.key].size < config.options().length)
+            .map(config => {
+                const values = Array.from(this.filters[config.key]).map(value => config.label(value));
+                return `${config.noun.charAt(0).toUpperCase()}${config.noun.slice(1)}: ${values.join(', ') || 'none'}`;
+            });
+
+        const lines = [view.join(' · '), environments.length > 0 ? environments.join(' · ') : 'All environments'];
+
+        const hidden = this.getAvailableSerializers().filter(serializer => this.filters.hiddenSerializers.has(serializer));
+        if (hidden.length > 0) {
+            lines.push(`Hidden: ${hidden.map(serializer => this.formatSerializerName(serializer)).join(', ')}`);
+        }
+        return lines;
+    }
+
+    describeReportTimestamp() {
+        const generated = new Date(this.data.metadata.generated_at);
+        return isNaN(generated)
+            ? `Exported ${new Date().toLocaleString()}`
+            : `Report generated ${generated.toLocaleString()}`;
+    }
+
+    /**
+     * Lay out every operation chart for every format on the light theme,
+     * one format per page with its summary, and open the print dialog.
+     * The report only exists while printing.
+     */
+    async printReport() {
+        if (!this.isChartLibraryLoaded()) {
+            this.showError(this.getChartLibraryError());
+            return;
+        }
+
+        // Every format is printed, so fetch the ones not viewed yet
+        await Promise.all(this.getAvailableFormats().map(format => this.loadFormat(format).catch(() => null)));
+
+        const screenFormat = this.filters.format;
+        const report = document.createElement('div');
+        report.className = 'print-report';
+
+        // Every page shares the environment filters; the format is per page
+        const context = this.describeFilters().slice(1);
+
+        try {
+            const pages = this.getAvailableFormats().map(format => {
+                this.filters.format = format;
+
+                const charts = ['parsing', 'generation', 'memory', 'streaming'].map(operation => {
+                    const images = this.renderChartImages(operation, { width: 720, height: 360 });
+                    if (images.length === 0) return '';
+
+                    return `
+                        <figure class="print-chart">
+                            ${images.map(image => `<img src="${image.canvas.toDataURL('image/png')}" alt="${this.escapeHTML(this.getChartTitle(operation, image.panel.size))}">`).join('')}
+                        </figure>
+                    `;
+                }).join('');
+                if (!charts.trim()) return '';
+
+                return `
+                    <section class="print-page">
+                        <h2>${this.escapeHTML(format.toUpperCase())} Results</h2>
+                        <div class="summary-grid">${this.getSummaryHTML()}</div>
+                        ${charts}
+                    </section>
+                `;
+            });
+
+            report.innerHTML = `
+                <header class="print-report-header">
+                    <h1>${this.escapeHTML(this.data.metadata.resultset_name || 'Serialbench Performance Report')}</h1>
+                    ${context.map(line => `<p>${this.escapeHTML(line)}</p>`).join('')}
+                    <p>${this.describeReportTimestamp()}</p>
+                </header>
+                ${pages.join('')}
+            `;
+        } finally {
+            this.filters.format = screenFormat;
+        }
+
+        document.body.appendChild(report);
+        document.body.classList.add('printing-report');
+        window.addEventListener('afterprint', () => {
+            report.remove();
+            document.body.classList.remove('printing-report');
+        }, { once: true });
+
+        // Printing before the chart images have decoded leaves blank figures
+        await Promise.all(Array.from(report.querySelectorAll('img'))
+            .map(img => img.decode ? img.decode().catch(() => {}) : null));
+        window.print();
+    }
+
+    getExportFilters() {
+        return {
+            dashboard_url: window.location.href,
+            platforms: Array.from(this.filters.platforms).sort(),
+            ruby_engines: Array.from(this.filters.rubyTypes).sort(),
+            ruby_versions: Array.from(this.filters.rubyVersions).sort(),
+            kinds: Array.from(this.filters.kinds).sort(),
+            tags: Array.from(this.filters.tags).sort(),
+            format: this.filters.format,
+            data_size: this.filters.dataSize
+        };
+    }
+
     getFilteredData() {
-        // Return filtered dataset for export
+        // Group the visible rows per environment, shaped like a result file
+        const results = new Map();
+
+        this.getFilteredRows().forEach(row => {
+            if (!results.has(row.environment)) {
+                const env = this.data.environments[row.environment] || {};
+                results.set(row.environment, {
+                    platform: {
+                        os: env.os,
+                        arch: env.arch,
+                        ruby_version: env.ruby_version,
+                        ruby_engine: this.getRubyEngine(env),
+                        ruby_platform: env.ruby_platform
+                    },
+                    metadata: {
+                        created_at: env.timestamp,
+                        environment_config_path: env.source_file
+                    },
+                    benchmark_result: {}
+                });
+            }
+
+            const benchmarkResult = results.get(row.environment).benchmark_result;
+            const measurement = {
+                adapter: row.serializer,
+                format: this.filters.format,
+                data_size: row.size
+            };
+            [
+                'iterations_per_second', 'time_per_iteration', 'time_per_iteration_stddev', 'iterations_count',
+                'allocated_memory', 'retained_memory'
+            ].forEach(key => {
+                if (row[key] !== null) measurement[key] = row[key];
+            });
+
+            (benchmarkResult[row.operation] = benchmarkResult[row.operation] || []).push(measurement);
+        });
+
         return {
-            filters: this.filters,
-            timestamp: new Date().toISOString(),
-            data: this.data
+            exported_at: new Date().toISOString(),
+            filters: this.getExportFilters(),
+            results: Array.from(results.values())
+        };
+    }
+
+    getFilteredCSV() {
+        const columns = [
+            'environment', 'os', 'arch', 'ruby_engine', 'ruby_version', 'operation', 'format', 'data_size', 'serializer',
+            'iterations_per_second', 'time_per_iteration', 'time_per_iteration_stddev', 'iterations_count',
+            'allocated_memory', 'retained_memory', 'exported_at', 'dashboard_url'
+        ];
+        const escape = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
         };
+
+        // Every row records where it came from: the dashboard URL holds the
+        // filters, so opening it shows the same selection
+        const exportedAt = new Date().toISOString();
+        const dashboardURL = this.getExportFilters().dashboard_url;
+
+        const lines = this.getFilteredRows().map(row => {
+            const env = this.data.environments[row.environment] || {};
+            const record = {
+                ...row,
+                os: env.os,
+                arch: env.arch,
+                ruby_engine: this.getRubyEngine(env),
+                ruby_version: env.ruby_version,
+                format: this.filters.format,
+                data_size: row.size,
+                exported_at: exportedAt,
+                dashboard_url: dashboardURL
+            };
+            return columns.map(column => escape(record[column])).join(',');
+        });
+
+        return [columns.join(','), ...lines].join('\n');
+    }
+
+    /**
+     * Minimal YAML emitter for the plain objects, arrays and scalars that
+     * make up an export document.
+     */
+    toYAML(value, indent = 0) {
+        const pad = ' '.repeat(indent);
+        const scalar = (item) => {
+            if (item === null || item === undefined) return 'null';
+            if (typeof item === 'number' || typeof item === 'boolean') return String(item);
+            // Quote anything YAML could read as another type or as syntax
+            return /^[\w./+-][\w ./+-]*$/.test(item) && !/^(true|false|null|yes|no|~|[-+]?[\d.]+(e[-+]?\d+)?)$/i.test(item)
+                ? item
+                : JSON.stringify(item);
+        };
+        const isNested = (item) => item !== null && typeof item === 'object';
+
+        if (Array.isArray(value)) {
+            if (value.length === 0) return `${pad}[]\n`;
+            return value.map(item => {
+                if (!isNested(item)) return `${pad}- ${scalar(item)}\n`;
+                const nested = this.toYAML(item, indent + 2);
+                return `${pad}- ${nested.slice(indent + 2)}`;
+            }).join('');
+        }
+
+        if (isNested(value)) {
+            const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+            if (entries.length === 0) return `${pad}{}\n`;
+            return entries.map(([key, item]) => {
+                if (!isNested(item)) return `${pad}${key}: ${scalar(item)}\n`;
+                if (Array.isArray(item) && item.length === 0) return `${pad}${key}: []\n`;
+                if (!Array.isArray(item) && Object.keys(item).length === 0) return `${pad}${key}: {}\n`;
+                return `${pad}${key}:\n${this.toYAML(item, Array.isArray(item) ? indent : indent + 2)}`;
+            }).join('');
+        }
+
+        return `${pad}${scalar(value)}\n`;
+    }
+
+    setupExportMenu() {
+        const toggle = document.getElementById('export-toggle');
+        const menu = document.getElementById('export-menu');
+        if (!toggle || !menu) return;
+
+        const setOpen = (open) => {
+            menu.hidden = !open;
+            toggle.setAttribute('aria-expanded', String(open));
+        };
+
+        toggle.addEventListener('click', () => setOpen(menu.hidden));
+
+        menu.querySelectorAll('[data-export-format]').forEach(item => {
+            item.addEventListener('click', () => {
+                setOpen(false);
+                this.exportData(item.dataset.exportFormat);
+            });
+        });
+
+        const printItem = menu.querySelector('[data-print-report]');
+        if (printItem) {
+            printItem.addEventListener('click', () => {
+                setOpen(false);
+                this.printReport();
+            });
+        }
+
+        document.querySelectorAll('[data-download-chart]').forEach(button => {
+            button.addEventListener('click', () => {
+                const card = button.closest('.chart-card');
+                this.downloadChart(card.dataset.operation, button.dataset.downloadChart);
+            });
+        });
+
+        document.querySelectorAll('[data-copy-embed]').forEach(button => {
+            button.addEventListener('click', () => this.copyEmbedCode(button));
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!menu.hidden && !e.target.closest('.export-menu')) {
+                setOpen(false);
+            }
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !menu.hidden) {
+                setOpen(false);
+                toggle.focus();
+            }
+        });
     }
 }
 
@@ -0,0 +1,199 @@
+// Single-chart embed page for Serialbench reports (embed.html)
+//
+// Query parameters pick the chart: format, operation, size, metric,
+// serializers and env (comma-separated serializer names and environment
+// keys) and theme (light or dark). Anything left out falls back to a default.
+
+const EMBED_TITLES = {
+    parsing: 'Parsing Performance',
+    generation: 'Generation Performance',
+    memory: 'Memory Usage',
+    streaming: 'Streaming Performance'
+};
+
+/**
+ * Data sizes in the report, smallest first
+ */
+function getEmbedDataSizes(data) {
+    const order = { small: 0, medium: 1, large: 2 };
+    const sizes = new Set(data.data_sizes || []);
+    Object.values(data.combined_results || {}).forEach(operationData => {
+        Object.keys(operationData || {}).forEach(size => sizes.add(size));
+    });
+
+    return Array.from(sizes).sort((a, b) => {
+        const rankA = a in order ? order[a] : Infinity;
+        const rankB = b in order ? order[b] : Infinity;
+        return rankA === rankB ? a.localeCompare(b) : rankA - rankB;
+    });
+}
+
+/**
+ * Read the chart to draw from the query string
+ */
+function getEmbedOptions(data, params) {
+    const list = (name) => params.get(name) ? params.get(name).split(',').filter(Boolean) : null;
+    const formats = Object.keys(data.formats || {});
+    const operation = params.get('operation') || 'parsing';
+    const theme = params.get('theme') ||
+        (window.matchMedia && window.matchMedia('(prefers-color-scheme: light)').matches ? 'light' : 'dark');
+
+    return {
+        format: params.get('format') || (formats.includes('xml') || formats.length === 0 ? 'xml' : formats[0]),
+        operation,
+        size: params.get('size') || getEmbedDataSizes(data)[0],
+        metric: params.get('metric') || (operation === 'memory' ? 'allocated_memory' : 'iterations_per_second'),
+        serializers: list('serializers'),
+        environments: list('env'),
+        theme: theme === 'light' ? 'light' : 'dark'
+    };
+}
+
+/**
+ * Results for one format: inline, or in a chunked report fetched from the
+ * format's chunk
+ */
+async function loadEmbedResults(data, format) {
+    const manifest = (data.formats || {})[format];
+    if (!manifest) return data.combined_results || {};
+
+    const response = await fetch(manifest.chunk);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    return (await response.json()).combined_results || {};
+}
+
+// "Ruby 3.4.1 linux-x86_64", "JRuby 3.1.4 macos-arm64"
+function describeEmbedEnvironment(env) {
+    const engine = ({ ruby: 'Ruby', jruby: 'JRuby', truffleruby: 'TruffleRuby' })[env.ruby_engine || 'ruby'] || env.ruby_engine;
+    return `${engine} ${env.ruby_version} ${env.os}-${env.arch}`;
+}
+
+/**
+ * Narrow the results for the chosen format, operation and size to the
+ * chosen serializers and environments, in the layout
+ * SerialbenchCharts.createBenchmarkChart expects
+ */
+function selectEmbedResults(data, combinedResults, options) {
+    const serializers = ((combinedResults[options.operation] || {})[options.size] || {})[options.format] || {};
+    const results = {};
+    const environments = new Set();
+
+    Object.entries(serializers).forEach(([serializer, envResults]) => {
+        if (options.serializers && !options.serializers.includes(serializer)) return;
+
+        Object.entries(envResults || {}).forEach(([envKey, envData]) => {
+            if (options.environments && !options.environments.includes(envKey)) return;
+
+            results[serializer] = results[serializer] || {};
+            results[serializer][envKey] = envData;
+            environments.add(envKey);
+        });
+    });
+
+    const envKeys = Array.from(environments).sort();
+    const labels = {};
+    envKeys.forEach(envKey => {
+        const env = (data.environments || {})[envKey];
+        labels[envKey] = env ? describeEmbedEnvironment(env) : envKey;
+    });
+
+    return { results, environments: envKeys, labels };
+}
+
+/**
+ * One colour per serializer, matching the dashboard: every serializer in the
+ * report counts, not only those in this chart
+ */
+function getEmbedColors(data, combinedResults) {
+    const names = new Set(Object.keys(data.serializers || {}));
+    Object.values(data.formats || {}).forEach(format => {
+        (format.serializers || []).forEach(name => names.add(name));
+    });
+    Object.values(combinedResults).forEach(sizes => {
+        Object.values(sizes || {}).forEach(formats => {
+            Object.values(formats || {}).forEach(serializers => {
+                Object.keys(serializers || {}).forEach(name => names.add(name));
+            });
+        });
+    });
+
+    return SerialbenchCharts.createColorRegistry(names, data.serializers || {});
+}
+
+function showEmbedMessage(message) {
+    const element = document.getElementById('embed-message');
+    element.textContent = message;
+    element.hidden = false;
+    document.getElementById('embed-chart').hidden = true;
+}
+
+// Link to the same format and size in the full dashboard
+function updateEmbedSourceLink(options) {
+    const link = document.getElementById('embed-source');
+    if (!link) return;
+
+    const params = new URLSearchParams({ format: options.format });
+    if (options.size) params.set('size', options.size);
+    link.href = `index.html?${params.toString()}`;
+}
+
+/**
+ * Draw the chart described by the query string, or say why there is none
+ */
+async function renderEmbed() {
+    const data = window.benchmarkData || {};
+    const options = getEmbedOptions(data, new URLSearchParams(window.location.search));
+    const title = `${options.format.toUpperCase()} ${EMBED_TITLES[options.operation] || options.operation}` +
+        `${options.size ? ` (${options.size})` : ''}`;
+
+    document.documentElement.setAttribute('data-theme', options.theme);
+    document.title = `${title} · Serialbench`;
+    document.getElementById('embed-chart').setAttribute('aria-label', title);
+    updateEmbedSourceLink(options);
+
+    if (!SerialbenchCharts.isChartJsLoaded()) {
+        showEmbedMessage('Charts are unavailable because the Chart.js library could not be loaded.');
+        return;
+    }
+    if (!SerialbenchCharts.getMetricDefinitions()[options.metric]) {
+        showEmbedMessage(`Unknown metric "${options.metric}".`);
+        return;
+    }
+
+    let combinedResults;
+    try {
+        combinedResults = await loadEmbedResults(data, options.format);
+    } catch (error) {
+        console.error(`❌ Failed to load ${options.format} results:`, error);
+        showEmbedMessage(`Could not load ${options.format.toUpperCase()} results (${error.message}).`);
+        return;
+    }
+
+    const { results, environments, labels } = selectEmbedResults(data, combinedResults, options);
+    if (environments.length === 0) {
+        showEmbedMessage(`No results for ${title}.`);
+        return;
+    }
+
+    try {
+        SerialbenchCharts.createBenchmarkChart('embed-chart', {
+            title,
+            metric: options.metric,
+            results,
+            environments,
+            labels,
+            serializers: data.serializers || {},
+            colors: getEmbedColors(data, combinedResults),
+            theme: options.theme
+        });
+    } catch (error) {
+        console.error('❌ Failed to create embedded chart:', error);
+        showEmbedMessage(`Failed to load the ${title} chart.`);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    renderEmbed();
+});
@@ -1,123 +1,217 @@
 // Navigation and UI interaction functions for Serialbench reports
 
 /**
- * Show a specific section and update navigation state
+ * Return the section tabs in document order
  */
-function showSection(sectionName) {
-    // Hide all sections
-    document.querySelectorAll('.section').forEach(section => {
-        section.classList.remove('active');
-    });
+function getSectionTabs() {
+    return Array.from(document.querySelectorAll('[data-sections] [role="tab"][data-section]'));
+}
 
-    // Remove active class from all nav buttons
-    document.querySelectorAll('.nav-btn').forEach(btn => {
-        btn.classList.remove('active');
-    });
+/**
+ * Read the section name from the URL hash, e.g. "#results" -> "results"
+ */
+function getHashSection() {
+    return decodeURIComponent(window.location.hash.replace(/^#/, ''));
+}
 
-    // Show selected section
-    const targetSection = document.getElementById(sectionName);
-    if (targetSection) {
-        targetSection.classList.add('active');
-    }
+/**
+ * Show a section by name and update tab state. Unknown names fall back to
+ * the first tab so stale or mistyped links still land somewhere useful.
+ */
+function showSection(sectionName, options = {}) {
+    const tabs = getSectionTabs();
+    if (tabs.length === 0) return;
+
+    const activeTab = tabs.find(tab => tab.dataset.section === sectionName) || tabs[0];
 
-    // Add active class to clicked button
-    if (event && event.target) {
-        event.target.classList.add('active');
+    tabs.forEach(tab => {
+        const selected = tab === activeTab;
+        tab.setAttribute('aria-selected', String(selected));
+        tab.tabIndex = selected ? 0 : -1;
+        tab.classList.toggle('active', selected);
+
+        const panel = document.getElementById(tab.getAttribute('aria-controls'));
+        if (panel) {
+            panel.hidden = !selected;
+        }
+    });
+
+    if (options.focus) {
+        activeTab.focus();
     }
 
-    // Smooth scroll to top of section
-    if (targetSection) {
-        targetSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    // Replace rather than push so tab switches don't flood browser history;
+    // the query string holds the filters and is left alone
+    const hash = `#${activeTab.dataset.section}`;
+    if (options.updateHash !== false && window.location.hash !== hash) {
+        window.history.replaceState(window.history.state, '',
+            `${window.location.pathname}${window.location.search}${hash}`);
     }
 }
 
 /**
- * Initialize navigation event listeners
+ * Initialize section tabs: clicks, roving focus and the URL hash
  */
 function initializeNavigation() {
-    // Add click event listeners to navigation buttons
-    document.querySelectorAll('.nav-btn').forEach(btn => {
-        btn.addEventListener('click', function(e) {
-            e.preventDefault();
-            const sectionName = this.getAttribute('data-section') ||
-                               this.textContent.toLowerCase().replace(/\s+/g, '').replace('performance', '');
-            showSection(sectionName);
-        });
+    const tablist = document.querySelector('[data-sections]');
+    const tabs = getSectionTabs();
+    if (!tablist || tabs.length === 0) return;
+
+    tabs.forEach((tab, index) => {
+        if (index < 9) {
+            tab.setAttribute('aria-keyshortcuts', `Alt+${index + 1}`);
+            tab.title = `${tab.textContent.trim()} (Alt+${index + 1})`;
+        }
     });
 
-    // Add keyboard navigation support
-    document.addEventListener('keydown', function(e) {
-        if (e.altKey) {
-            const keyMap = {
-                '1': 'parsing',
-                '2': 'generation',
-                '3': 'streaming',
-                '4': 'memory',
-                '5': 'summary',
-                '6': 'environments'
-            };
-
-            if (keyMap[e.key]) {
-                e.preventDefault();
-                showSection(keyMap[e.key]);
-
-                // Update button state
-                document.querySelectorAll('.nav-btn').forEach(btn => {
-                    btn.classList.remove('active');
-                    if (btn.textContent.toLowerCase().includes(keyMap[e.key]) ||
-                        (keyMap[e.key] === 'parsing' && btn.textContent.toLowerCase().includes('parsing')) ||
-                        (keyMap[e.key] === 'generation' && btn.textContent.toLowerCase().includes('generation')) ||
-                        (keyMap[e.key] === 'streaming' && btn.textContent.toLowerCase().includes('streaming')) ||
-                        (keyMap[e.key] === 'memory' && btn.textContent.toLowerCase().includes('memory')) ||
-                        (keyMap[e.key] === 'summary' && btn.textContent.toLowerCase().includes('summary')) ||
-                        (keyMap[e.key] === 'environments' && btn.textContent.toLowerCase().includes('environment'))) {
-                        btn.classList.add('active');
-                    }
-                });
-            }
+    tablist.addEventListener('click', (e) => {
+        const tab = e.target.closest('[role="tab"][data-section]');
+        if (tab) {
+            showSection(tab.dataset.section);
+        }
+    });
+
+    // Arrow keys move between tabs (wrapping), Home/End jump to the ends
+    tablist.addEventListener('keydown', (e) => {
+        const current = tabs.indexOf(e.target);
+        if (current === -1) return;
+
+        let next;
+        switch (e.key) {
+            case 'ArrowRight': next = (current + 1) % tabs.length; break;
+            case 'ArrowLeft': next = (current - 1 + tabs.length) % tabs.length; break;
+            case 'Home': next = 0; break;
+            case 'End': next = tabs.length - 1; break;
+            default: return;
         }
+
+        e.preventDefault();
+        showSection(tabs[next].dataset.section, { focus: true });
     });
+
+    // Back/forward and edited links
+    window.addEventListener('hashchange', () => {
+        showSection(getHashSection(), { updateHash: false });
+    });
+
+    // Restore the linked section without rewriting the URL on load
+    showSection(getHashSection(), { updateHash: false });
 }
 
 /**
- * Add loading states to charts
+ * Whether a key press is meant for a text field rather than a shortcut
  */
-function addChartLoadingStates() {
-    document.querySelectorAll('.chart-container canvas').forEach(canvas => {
-        const container = canvas.closest('.chart-container');
-        if (container) {
-            container.classList.add('loading');
-
-            // Remove loading state after chart is rendered
-            setTimeout(() => {
-                container.classList.remove('loading');
-            }, 1000);
+function isTypingTarget(target) {
+    return Boolean(target && target.closest &&
+        target.closest('input, select, textarea, [contenteditable]:not([contenteditable="false"])'));
+}
+
+/**
+ * Add global keyboard shortcuts: Alt+1…9 selects a section, ? shows help
+ */
+function initializeKeyboardShortcuts() {
+    document.addEventListener('keydown', (e) => {
+        // Match on e.code so Alt+digit works where Alt changes e.key (macOS)
+        const digit = e.altKey && !e.ctrlKey && !e.metaKey && /^Digit([1-9])$/.exec(e.code);
+        if (digit) {
+            const tab = getSectionTabs()[Number(digit[1]) - 1];
+            if (tab) {
+                e.preventDefault();
+                toggleShortcutHelp(false);
+                showSection(tab.dataset.section, { focus: true });
+            }
+            return;
+        }
+
+        if (e.key === '?' && !e.altKey && !e.ctrlKey && !e.metaKey && !isTypingTarget(e.target)) {
+            e.preventDefault();
+            toggleShortcutHelp();
         }
     });
 }
 
 /**
- * Add tooltips to navigation buttons
+ * Build the keyboard shortcut help dialog from the tabs on the page
  */
-function addNavigationTooltips() {
-    const tooltips = {
-        'parsing': 'View parsing performance benchmarks (Alt+1)',
-        'generation': 'View generation performance benchmarks (Alt+2)',
-        'streaming': 'View streaming performance benchmarks (Alt+3)',
-        'memory': 'View memory usage analysis (Alt+4)',
-        'summary': 'View performance summary and recommendations (Alt+5)',
-        'environments': 'View environment and version details (Alt+6)'
-    };
-
-    document.querySelectorAll('.nav-btn').forEach(btn => {
-        const text = btn.textContent.toLowerCase();
-        for (const [key, tooltip] of Object.entries(tooltips)) {
-            if (text.includes(key) || (key === 'environments' && text.includes('environment'))) {
-                btn.title = tooltip;
-                break;
+function createShortcutHelp() {
+    const overlay = document.createElement('div');
+    overlay.id = 'shortcut-help';
+    overlay.className = 'shortcut-help';
+    overlay.hidden = true;
+
+    const sectionRows = getSectionTabs().slice(0, 9).map((tab, index) =>
+        `<dt><kbd>Alt</kbd> + <kbd>${index + 1}</kbd></dt><dd>${tab.textContent.trim()}</dd>`);
+
+    overlay.innerHTML = `
+        <div class="shortcut-help-dialog" role="dialog" aria-modal="true" aria-labelledby="shortcut-help-title">
+            <div class="shortcut-help-header">
+                <h2 class="summary-title" id="shortcut-help-title">Keyboard shortcuts</h2>
+                <button type="button" class="shortcut-help-close" data-close-help aria-label="Close keyboard shortcuts">×</button>
+            </div>
+            <dl class="shortcut-help-list">
+                ${sectionRows.join('')}
+                <dt><kbd>←</kbd> <kbd>→</kbd></dt><dd>Previous / next section (on the section tabs)</dd>
+                <dt><kbd>Home</kbd> <kbd>End</kbd></dt><dd>First / last section</dd>
+                <dt><kbd>?</kbd></dt><dd>Show or hide this help</dd>
+                <dt><kbd>Esc</kbd></dt><dd>Close this help</dd>
+            </dl>
+        </div>
+    `;
+
+    // Clicking the backdrop or the close button dismisses the dialog
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay || e.target.closest('[data-close-help]')) {
+            toggleShortcutHelp(false);
+        }
+    });
+
+    overlay.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            toggleShortcutHelp(false);
+            return;
+        }
+
+        // Keep focus inside the dialog while it is open
+        if (e.key === 'Tab') {
+            const focusable = overlay.querySelectorAll('button');
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
             }
         }
     });
+
+    document.body.appendChild(overlay);
+    return overlay;
+}
+
+/**
+ * Open or close the keyboard shortcut help, returning focus on close
+ */
+function toggleShortcutHelp(open) {
+    let overlay = document.getElementById('shortcut-help');
+    if (!overlay) {
+        if (open === false) return;
+        overlay = createShortcutHelp();
+    }
+
+    const show = open === undefined ? overlay.hidden : open;
+    if (show === !overlay.hidden) return;
+
+    overlay.hidden = !show;
+    if (show) {
+        toggleShortcutHelp.returnFocus = document.activeElement;
+        overlay.querySelector('[data-close-help]').focus();
+    } else if (toggleShortcutHelp.returnFocus) {
+        toggleShortcutHelp.returnFocus.focus();
+        toggleShortcutHelp.returnFocus = null;
+    }
 }
 
 /**
@@ -128,13 +222,11 @@ function initializeUI() {
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', function() {
             initializeNavigation();
-            addNavigationTooltips();
-            addChartLoadingStates();
+            initializeKeyboardShortcuts();
         });
     } else {
         initializeNavigation();
-        addNavigationTooltips();
-        addChartLoadingStates();
+        initializeKeyboardShortcuts();
     }
 }
 
@@ -0,0 +1,324 @@
+// Unit tests for the chart factory in assets/js/chart_helpers.js.
+// Run with: rake spec:javascript
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Minimal DOM shim: the factory only needs the theme attribute, canvases
+// looked up by id, and a 2D context to hand to Chart.js
+class FakeElement {
+    constructor(attributes = {}) {
+        this.attributes = { ...attributes };
+    }
+
+    getAttribute(name) {
+        return name in this.attributes ? this.attributes[name] : null;
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+    }
+
+    getContext(kind) {
+        return { kind, canvas: this };
+    }
+}
+
+const canvases = new Map();
+globalThis.document = {
+    documentElement: new FakeElement({ 'data-theme': 'light' }),
+    getElementById: (id) => canvases.get(id) || null
+};
+
+// Chart.js stand-in that records what it was given
+class FakeChart {
+    constructor(ctx, config) {
+        this.ctx = ctx;
+        this.config = config;
+        FakeChart.instances.push(this);
+    }
+}
+FakeChart.instances = [];
+
+const charts = (await import('../../lib/serialbench/templates/assets/js/chart_helpers.mjs')).default;
+
+const results = {
+    ox: { iterations_per_second: 1200, time_per_iteration: 0.0008, allocated_memory: 2 * 1024 * 1024 },
+    rexml: { iterations_per_second: 300, time_per_iteration: 0.0033, allocated_memory: 8 * 1024 * 1024 }
+};
+
+beforeEach(() => {
+    canvases.clear();
+    canvases.set('chart', new FakeElement());
+    document.documentElement.setAttribute('data-theme', 'light');
+    globalThis.Chart = FakeChart;
+    FakeChart.instances = [];
+});
+
+describe('module loading', () => {
+    test('defines the browser global and the ES module exports', async () => {
+        const module = await import('../../lib/serialbench/templates/assets/js/chart_helpers.mjs');
+        assert.equal(globalThis.SerialbenchCharts, charts);
+        assert.equal(module.createChart, charts.createChart);
+    });
+});
+
+describe('createColorRegistry', () => {
+    test('keeps colour hints from serializer metadata', () => {
+        const colors = charts.createColorRegistry(['ox', 'rexml'], { ox: { color: '#123456' } });
+        assert.equal(colors.get('ox'), '#123456');
+        assert.ok(charts.PALETTE.includes(colors.get('rexml')));
+    });
+
+    test('ignores hints that are not six-digit hex colours', () => {
+        const colors = charts.createColorRegistry(['ox'], { ox: { color: 'red' } });
+        assert.ok(charts.PALETTE.includes(colors.get('ox')));
+    });
+
+    test('does not depend on the order serializers are listed in', () => {
+        const forward = charts.createColorRegistry(['nokogiri', 'rexml', 'ox']);
+        const reverse = charts.createColorRegistry(['ox', 'rexml', 'nokogiri']);
+        assert.deepEqual([...forward], [...reverse]);
+    });
+
+    test('does not reuse palette colours while any are free', () => {
+        const names = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j'];
+        const colors = charts.createColorRegistry(names);
+        assert.equal(new Set(colors.values()).size, names.length);
+    });
+
+    test('keeps palette colours away from hinted colours', () => {
+        const rgb = (hex) => [1, 3, 5].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+        const distance = (a, b) => Math.hypot(...rgb(a).map((value, i) => value - rgb(b)[i]));
+        const hints = { ox: { color: '#E69F00' }, rexml: { color: '#D95F02' } };
+        const names = ['ox', 'rexml', 'a', 'b', 'c', 'd', 'e', 'f', 'g'];
+        const colors = charts.createColorRegistry(names, hints);
+
+        names.slice(2).forEach(name => {
+            assert.ok(distance(colors.get(name), '#E69F00') >= 60, `${name} got ${colors.get(name)}`);
+            assert.ok(distance(colors.get(name), '#D95F02') >= 60, `${name} got ${colors.get(name)}`);
+        });
+    });
+
+    test('reuses the most distinct colour once the palette runs out', () => {
+        const names = Array.from({ length: 12 }, (_, i) => `serializer${i}`);
+        const colors = charts.createColorRegistry(names);
+        assert.equal(colors.size, names.length);
+        assert.ok([...colors.values()].every(color => charts.PALETTE.includes(color)));
+    });
+});
+
+describe('toRGBA', () => {
+    test('converts hex colours and falls back to grey', () => {
+        assert.equal(charts.toRGBA('#E69F00', 0.5), 'rgba(230, 159, 0, 0.5)');
+        assert.equal(charts.toRGBA(undefined), 'rgba(107, 114, 128, 1)');
+    });
+});
+
+describe('formatting', () => {
+    test('formats durations in the largest fitting unit', () => {
+        assert.equal(charts.formatDuration(2), '2.00 s');
+        assert.equal(charts.formatDuration(0.00123), '1.23 ms');
+        assert.equal(charts.formatDuration(0.0000045), '4.50 µs');
+    });
+
+    test('formats byte counts', () => {
+        assert.equal(charts.formatBytes(512), '512 B');
+        assert.equal(charts.formatBytes(2048), '2.0 KB');
+        assert.equal(charts.formatBytes(3 * 1024 * 1024), '3.00 MB');
+    });
+
+    test('reads and ranges metrics from results', () => {
+        const metrics = charts.getMetricDefinitions();
+        const envData = { iterations_per_second: 100, time_per_iteration: 0.01, time_per_iteration_stddev: 0.002 };
+        assert.equal(metrics.iterations_per_second.value(envData), 100);
+        assert.deepEqual(metrics.time_per_iteration.range(envData), [0.008, 0.012]);
+        assert.equal(metrics.allocated_memory.value({ allocated_memory: 1024 * 1024 }), 1);
+        assert.equal(metrics.time_per_iteration.range({ time_per_iteration: 0.01 }), null);
+        assert.equal(metrics.time_per_iteration.format(0.01), '10.00 ms');
+    });
+});
+
+describe('getChartOptions', () => {
+    test('follows the page theme', () => {
+        assert.equal(charts.getTheme(), 'light');
+        assert.equal(charts.getChartOptions().plugins.title.color, charts.getThemeColors('light').text);
+
+        document.documentElement.setAttribute('data-theme', 'dark');
+        const options = charts.getChartOptions({ title: 'Parsing' });
+        assert.equal(options.plugins.title.color, charts.getThemeColors('dark').text);
+        assert.equal(options.scales.y.grid.color, charts.getThemeColors('dark').grid);
+        assert.equal(options.plugins.tooltip.backgroundColor, charts.getThemeColors('dark').tooltipBackground);
+    });
+
+    test('titles and formats the value axis', () => {
+        const options = charts.getChartOptions({ valueTitle: 'Time', valueType: 'logarithmic', formatTick: v => `${v}!` });
+        assert.equal(options.scales.y.type, 'logarithmic');
+        assert.equal(options.scales.y.beginAtZero, false);
+        assert.equal(options.scales.y.title.text, 'Time');
+        assert.equal(options.scales.y.ticks.callback(3), '3!');
+    });
+
+    test('makes x the value axis for horizontal bars', () => {
+        const options = charts.getChartOptions({ indexAxis: 'y', valueTitle: 'Change', legend: false, categoryGrid: false });
+        assert.equal(options.indexAxis, 'y');
+        assert.equal(options.scales.x.title.text, 'Change');
+        assert.deepEqual(options.scales.y.grid, { display: false });
+        assert.equal(options.plugins.legend.display, false);
+    });
+});
+
+describe('getBenchmarkChartData', () => {
+    test('draws one bar per serializer for a single environment', () => {
+        const data = charts.getBenchmarkChartData(results, {
+            metric: 'allocated_memory',
+            serializers: { ox: { display_name: 'Ox' } }
+        });
+        assert.deepEqual(data.labels, ['Ox', 'rexml']);
+        assert.equal(data.datasets.length, 1);
+        assert.deepEqual(data.datasets[0].data, [2, 8]);
+        assert.equal(data.datasets[0].backgroundColor.length, 2);
+    });
+
+    test('draws one dataset per serializer across environments, leaving gaps', () => {
+        const data = charts.getBenchmarkChartData({
+            ox: { 'ruby-3.3': results.ox, 'ruby-3.4': results.ox },
+            rexml: { 'ruby-3.4': results.rexml }
+        }, {
+            environments: ['ruby-3.3', 'ruby-3.4'],
+            labels: { 'ruby-3.3': 'Ruby 3.3.0' }
+        });
+        assert.deepEqual(data.labels, ['Ruby 3.3.0', 'ruby-3.4']);
+        assert.deepEqual(data.datasets.map(dataset => dataset.serializer), ['ox', 'rexml']);
+        assert.deepEqual(data.datasets[1].data, [null, 300]);
+    });
+
+    test('uses a shared colour registry when given one', () => {
+        const colors = new Map([['ox', '#000000'], ['rexml', '#FFFFFF']]);
+        const data = charts.getBenchmarkChartData(results, { environments: [], colors });
+        assert.equal(data.datasets[0].borderColor, 'rgba(0, 0, 0, 1)');
+    });
+
+    test('rejects unknown metrics', () => {
+        assert.throws(() => charts.getBenchmarkChartData(results, { metric: 'speed' }), /Unknown metric: speed/);
+    });
+});
+
+describe('createSVGContext', () => {
+    test('records fills and strokes as paths in canvas coordinates', () => {
+        const ctx = charts.createSVGContext();
+        ctx.scale(2, 2);
+        ctx.fillStyle = '#E69F00';
+        ctx.fillRect(1, 2, 3, 4);
+
+        ctx.translate(10, 0);
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.1)';
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([2]);
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.lineTo(5, 0);
+        ctx.stroke();
+
+        assert.equal(ctx.toSVG(),
+            '<path d="M 2 4 L 8 4 L 8 12 L 2 12 Z" fill="#E69F00"/>' +
+            '<path d="M 20 0 L 30 0" fill="none" stroke="rgba(0, 0, 0, 0.1)" stroke-width="3" stroke-dasharray="4 4"/>');
+    });
+
+    test('draws arcs in the direction the canvas would', () => {
+        const ctx = charts.createSVGContext();
+        ctx.beginPath();
+        ctx.arc(10, 10, 5, 0, Math.PI / 2);
+        ctx.arc(30, 10, 5, 0, Math.PI / 2, true);
+        ctx.fill();
+
+        assert.equal(ctx.toSVG(),
+            '<path d="M 15 10 A 5 5 0 0 1 10 15 L 35 10 A 5 5 0 0 0 26.46 6.46 A 5 5 0 0 0 30 15" fill="#000000"/>');
+    });
+
+    test('keeps text as escaped text with its alignment and transform', () => {
+        const ctx = charts.createSVGContext();
+        ctx.font = 'bold 12px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.translate(100, 50);
+        ctx.rotate(-Math.PI / 2);
+        ctx.fillText('REXML <3 & "Ox"', 0, 0);
+
+        assert.equal(ctx.toSVG(),
+            '<text x="0" y="0" transform="matrix(0 -1 1 0 100 50)" style="font: bold 12px sans-serif" ' +
+            'text-anchor="middle" dominant-baseline="central" fill="#000000">REXML &lt;3 &amp; &quot;Ox&quot;</text>');
+        assert.equal(ctx.measureText('abc').width, 12 * 0.6 * 3);
+    });
+
+    test('clips with nested clip paths until restored', () => {
+        const ctx = charts.createSVGContext({ idPrefix: 'parsing-small' });
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(0, 0, 10, 10);
+        ctx.clip();
+        ctx.save();
+        ctx.globalAlpha = 0.5;
+        ctx.beginPath();
+        ctx.rect(5, 5, 10, 10);
+        ctx.clip();
+        ctx.fillRect(0, 0, 20, 20);
+        ctx.restore();
+        ctx.fillRect(0, 0, 1, 1);
+        ctx.restore();
+        ctx.fillRect(0, 0, 2, 2);
+
+        const svg = ctx.toSVG();
+        assert.match(svg, /<clipPath id="parsing-small-2" clip-path="url\(#parsing-small-1\)">/);
+        assert.match(svg, /Z" fill="#000000" opacity="0.5" clip-path="url\(#parsing-small-2\)"\/>/);
+        assert.match(svg, /L 0 1 Z" fill="#000000" clip-path="url\(#parsing-small-1\)"\/>/);
+        assert.match(svg, /L 0 2 Z" fill="#000000"\/>$/);
+    });
+
+    test('starts over when the whole canvas is cleared', () => {
+        const ctx = charts.createSVGContext({ canvas: { width: 100, height: 50 } });
+        ctx.fillRect(0, 0, 10, 10);
+        ctx.clearRect(10, 10, 5, 5);
+        assert.notEqual(ctx.toSVG(), '');
+
+        ctx.clearRect(0, 0, 100, 50);
+        assert.equal(ctx.toSVG(), '');
+    });
+});
+
+describe('createChart', () => {
+    test('creates a chart on a canvas given by id or element', () => {
+        const chart = charts.createChart('chart', { data: { datasets: [] } });
+        assert.equal(chart.ctx.canvas, canvases.get('chart'));
+        assert.equal(chart.config.type, 'bar');
+
+        const element = new FakeElement();
+        assert.equal(charts.createChart(element, { type: 'line', data: {} }).ctx.canvas, element);
+    });
+
+    test('throws when Chart.js or the canvas is missing', () => {
+        assert.throws(() => charts.createChart('missing', { data: {} }), /'missing' not found/);
+        delete globalThis.Chart;
+        assert.equal(charts.isChartJsLoaded(), false);
+        assert.throws(() => charts.createChart('chart', { data: {} }), /Chart.js is not loaded/);
+    });
+});
+
+describe('createBenchmarkChart', () => {
+    test('combines data, theme options and metric formatting', () => {
+        document.documentElement.setAttribute('data-theme', 'dark');
+        const chart = charts.createBenchmarkChart('chart', {
+            title: 'XML Parsing',
+            metric: 'time_per_iteration',
+            results
+        });
+        const { data, options } = chart.config;
+
+        assert.deepEqual(data.datasets[0].data, [0.0008, 0.0033]);
+        assert.equal(options.plugins.title.text, 'XML Parsing');
+        assert.equal(options.plugins.title.color, charts.getThemeColors('dark').text);
+        assert.equal(options.plugins.legend.display, false);
+        assert.equal(options.scales.y.title.text, 'Time per Iteration');
+        assert.equal(options.scales.y.ticks.callback(0.0008), '800.00 µs');
+        assert.equal(options.plugins.tooltip.callbacks.label({ parsed: { y: 0.002 }, dataset: {} }), '2.00 ms');
+    });
+});
@@ -72,4 +72,21 @@ RSpec.describe Serialbench::BenchmarkRunner do
       expect(round_tripped.serializers.size).to eq(original.serializers.size)
     end
   end
+
+  describe '#standard_deviation' do
+    let(:runner) { described_class.allocate }
+
+    it 'returns the sample standard deviation' do
+      expect(runner.send(:standard_deviation, [2.0, 4.0, 4.0, 4.0, 5.0, 5.0, 7.0, 9.0])).to be_within(1e-9).of(2.138089935)
+    end
+
+    it 'returns zero for identical samples' do
+      expect(runner.send(:standard_deviation, [0.5, 0.5, 0.5])).to eq(0.0)
+    end
+
+    it 'returns zero for fewer than two samples' do
+      expect(runner.send(:standard_deviation, [0.25])).to eq(0.0)
+      expect(runner.send(:standard_deviation, [])).to eq(0.0)
+    end
+  end
 end
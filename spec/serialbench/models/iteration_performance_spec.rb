@@ -17,5 +17,8 @@ RSpec.describe Serialbench::Models::IterationPerformance do
     expect(round_tripped.time_per_iteration).to eq(original.time_per_iteration)
     expect(round_tripped.iterations_per_second).to eq(original.iterations_per_second)
     expect(round_tripped.iterations_count).to eq(original.iterations_count)
+    expect(round_tripped.time_per_iteration_min).to eq(original.time_per_iteration_min)
+    expect(round_tripped.time_per_iteration_max).to eq(original.time_per_iteration_max)
+    expect(round_tripped.time_per_iteration_stddev).to eq(original.time_per_iteration_stddev)
   end
 end
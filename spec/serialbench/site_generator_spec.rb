@@ -0,0 +1,161 @@
+# frozen_string_literal: true
+
+require 'spec_helper'
+require 'tmpdir'
+
+RSpec.describe Serialbench::SiteGenerator do
+  let(:fixture_yaml) { IO.read('spec/fixtures/result.yml') }
+  let(:output_path) { Dir.mktmpdir('serialbench-site') }
+
+  before { allow($stdout).to receive(:puts) }
+  after { FileUtils.rm_rf(output_path) }
+
+  # The fixture run, with a fixed Ruby version and platform so keys do not
+  # depend on the Ruby running the specs
+  def fixture_result(**platform)
+    Serialbench::Models::Result.from_yaml(fixture_yaml).tap do |result|
+      { ruby_version: '3.0.7', ruby_platform: 'aarch64-linux' }.merge(platform).each do |name, value|
+        result.platform.public_send("#{name}=", value)
+      end
+    end
+  end
+
+  def read_output(path)
+    File.read(File.join(output_path, path))
+  end
+
+  # The data a generated page hands to the dashboard script
+  def embedded_data(html)
+    JSON.parse(html[/window\.benchmarkData = (.*);$/, 1])
+  end
+
+  describe 'chunked sites' do
+    let(:index) { embedded_data(read_output('index.html')) }
+
+    before { described_class.generate_for_result(fixture_result, output_path, chunked: true) }
+
+    it 'embeds a manifest of per-format chunks instead of the results' do
+      expect(index).not_to have_key('combined_results')
+      expect(index['data_sizes']).to eq(['small'])
+      expect(index['formats'].keys).to eq(%w[json toml xml yaml])
+
+      index['formats'].each do |format, entry|
+        expect(entry['chunk']).to eq("data/chunks/#{format}.json")
+        expect(File).to exist(File.join(output_path, entry['chunk']))
+      end
+    end
+
+    it 'lists the serializers each chunk holds' do
+      expect(index['formats']['xml']['serializers']).to eq(%w[libxml nokogiri oga ox rexml])
+      expect(index['formats']['toml']['serializers']).to eq(%w[toml tomlib tomlrb])
+    end
+
+    it 'writes only its own format to each chunk' do
+      index['formats'].each do |format, entry|
+        chunk = JSON.parse(read_output(entry['chunk']))
+        formats = chunk['combined_results'].values.flat_map { |sizes| sizes.values.flat_map(&:keys) }.uniq
+
+        expect(chunk['format']).to eq(format)
+        expect(formats).to eq([format])
+      end
+    end
+
+    it "keeps every measurement of a format in that format's chunk" do
+      chunk = JSON.parse(read_output('data/chunks/xml.json'))['combined_results']
+      benchmark_result = fixture_result.benchmark_result
+
+      expect(chunk['streaming']['small']['xml'].keys).to contain_exactly('ox', 'nokogiri', 'oga', 'libxml')
+      benchmark_result.parsing.select { |perf| perf.format == 'xml' }.each do |perf|
+        figures = chunk['parsing'][perf.data_size]['xml'][perf.adapter].values.first
+        expect(figures['iterations_per_second']).to eq(perf.iterations_per_second)
+      end
+      benchmark_result.memory.select { |perf| perf.format == 'xml' }.each do |perf|
+        figures = chunk['memory'][perf.data_size]['xml'][perf.adapter].values.first
+        expect(figures['allocated_memory']).to eq(perf.allocated_memory)
+      end
+    end
+
+    it 'gives embed.html the same manifest' do
+      embed = embedded_data(read_output('embed.html'))
+
+      expect(embed).not_to have_key('combined_results')
+      expect(embed['formats']).to eq(index['formats'])
+    end
+  end
+
+  describe 'single-file sites' do
+    let(:tag) { '</script><script>alert(1)</script>' }
+    let(:html) { read_output('index.html') }
+
+    before do
+      result = fixture_result
+      result.metadata.tags = [tag]
+      described_class.generate_for_result(result, output_path, single_file: true, chunked: true)
+    end
+
+    it 'writes index.html alone, with the results inline even when chunking was asked for' do
+      expect(Dir.children(output_path)).to eq(['index.html'])
+      expect(embedded_data(html)['combined_results'].keys).to include('parsing', 'memory')
+    end
+
+    it 'inlines Chart.js, the scripts and the stylesheets instead of linking them' do
+      expect(html).not_to match(/<script[^>]+src=/)
+      expect(html).not_to match(/<link[^>]+stylesheet/)
+      expect(html).to include('Chart.js v4.4.0', 'SerialbenchCharts', 'class SerialBenchDashboard')
+    end
+
+    it 'escapes "</script" in the inlined data' do
+      expect(html).not_to include(tag)
+      expect(embedded_data(html)['environments'].values.first['tags']).to eq([tag])
+    end
+
+    it 'escapes "</script" in the inlined scripts' do
+      navigation = File.join(described_class::TEMPLATE_DIR, 'assets', 'js', 'navigation.js')
+      allow(File).to receive(:read).and_call_original
+      allow(File).to receive(:read).with(navigation).and_return("const end = '</script>';")
+
+      assets = described_class.new(output_path: output_path).send(:inline_assets)
+
+      expect(assets['navigation_js']).to eq("const end = '<\\/script>';")
+    end
+  end
+
+  describe 'environment keys' do
+    let(:generator) { described_class.new(output_path: output_path) }
+
+    it 'names the engine from the ruby-build tag' do
+      expect(generator.send(:environment_key, fixture_result(ruby_build_tag: '3.1.4', ruby_version: '3.1.4')))
+        .to eq('docker-linux-arm64-ruby-3.1.4')
+      expect(generator.send(:environment_key, fixture_result(ruby_build_tag: 'jruby-9.4.8.0', ruby_version: '3.1.4')))
+        .to eq('docker-linux-arm64-jruby-3.1.4')
+      expect(generator.send(:environment_key, fixture_result(ruby_build_tag: 'truffleruby-24.1.1', ruby_version: '3.2.4')))
+        .to eq('docker-linux-arm64-truffleruby-3.2.4')
+    end
+
+    it 'recognises JRuby by its java RUBY_PLATFORM' do
+      result = fixture_result(ruby_build_tag: '3.1.4', ruby_version: '3.1.4', ruby_platform: 'universal-java-21')
+
+      expect(generator.send(:environment_key, result)).to eq('docker-linux-arm64-jruby-3.1.4')
+    end
+
+    it 'keeps runs of one Ruby version on different engines apart in a resultset site' do
+      resultset = Serialbench::Models::ResultSet.new(
+        name: 'engines',
+        results: [
+          fixture_result(ruby_build_tag: '3.1.4', ruby_version: '3.1.4'),
+          fixture_result(ruby_build_tag: 'jruby-9.4.8.0', ruby_version: '3.1.4'),
+          fixture_result(ruby_build_tag: 'truffleruby-24.1.1', ruby_version: '3.1.4')
+        ]
+      )
+      described_class.generate_for_resultset(resultset, output_path)
+
+      data = embedded_data(read_output('index.html'))
+      keys = %w[ruby jruby truffleruby].map { |engine| "docker-linux-arm64-#{engine}-3.1.4" }
+
+      expect(data['environments'].keys).to match_array(keys)
+      expect(data['environments'].values.map { |env| env['ruby_engine'] }).to match_array(%w[ruby jruby truffleruby])
+      expect(data['combined_results']['parsing']['small']['xml']['ox'].keys).to match_array(keys)
+      expect(Dir.children(File.join(output_path, 'data'))).to include(*keys.map { |key| "#{key}.yaml" })
+    end
+  end
+end
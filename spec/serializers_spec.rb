@@ -443,6 +443,17 @@ RSpec.describe 'Serialbench Serializers' do
         actual_toml = toml_serializers.map { |s| s.name }
         expect(actual_toml).to match_array(expected_toml)
       end
+
+      it 'describes every serializer for the dashboard' do
+        metadata = Serialbench::Serializers.metadata
+        expect(metadata.keys).to match_array(Serialbench::Serializers.all.map(&:name))
+        metadata.each_value do |entry|
+          expect(entry['display_name']).to be_a(String)
+          expect(%w[xml json yaml toml]).to include(entry['format'])
+          expect(entry['color']).to match(/\A#\h{6}\z/) if entry.key?('color')
+        end
+        expect(metadata['oga']).to include('display_name' => 'Oga', 'format' => 'xml')
+      end
     end
   end
 